@@ -1,16 +1,98 @@
 ﻿// js/app.js
-// Boot the elections map: select universe/election via URL (?u=&e=), load, and orchestrate modules.
+// Boot the elections map: select universe/election/round via URL (?u=&e=&r=&seed=) or the header picker, load, and orchestrate modules.
 
 let STATE;
+let MANIFEST = null;
+let TICK_TIMER = null;
+let LOAD_SEQ = 0;
+const TICK_MS = 2000;
 
-async function init(){
-  // Load manifest and select dataset by URL params
-  const manifest = await j('manifest.json');
-  const { universe, election } = selectUniverseElection(manifest);
-  const [gj, csvText] = await Promise.all([ j(universe.geojson), t(election.csv) ]);
+// Rounds whose count finished on the simulation clock during this session, keyed "<universe>/<slug>"
+const ROUNDS_COUNTED = new Set();
+function roundCountedKey(universe, roundEl){ return `${universe?.key || ''}/${roundEl?.slug || ''}`; }
+
+// Counted once the round's own clock has passed the end of its window: the saved playback clock when the
+// round has been opened before (it may have been fast-forwarded or scrubbed back), else the wall clock
+function isRoundCounted(universe, roundEl){
+  if (ROUNDS_COUNTED.has(roundCountedKey(universe, roundEl))) return true;
+  const win = peekCountWindow(roundEl, universe);
+  if (!win) return false;
+  const saved = loadCountState(universe, roundEl, win.startMs, win.endMs, resolveScheduleSeed(universe, roundEl));
+  const at = savedSimNow(saved);
+  return (at ?? Date.now()) >= win.endMs;
+}
+
+// Work out which rounds are open and who qualified for each, then pick the requested round (or the
+// latest open one). A round only opens once the round before it is fully counted and needs a runoff.
+async function resolveRound(universe, election, roundKey){
+  const rounds = Array.isArray(election?.rounds) ? election.rounds : [];
+  if (!rounds.length) return { effective: election, index: -1, list: [], qualifiers: null };
+  const list = rounds.map((r, i) => ({ key: String(r.key ?? `r${i + 1}`), label: r.label || `Round ${i + 1}`, open: i === 0, note: '', qualifiers: null, outcome: null }));
+  const nameOf = (k) => resolvePartyMeta(universe, election, [k])[k].name || k;
+  for (let i = 1; i < rounds.length; i++){
+    const prev = roundElection(election, rounds[i - 1], i - 1);
+    if (!isRoundCounted(universe, prev)){ list[i].note = `Opens after ${list[i - 1].label} is counted`; break; }
+    let rows;
+    try { rows = parseCSV(await t(prev.csv)); } catch(_) { list[i].note = `${list[i - 1].label} results unavailable`; break; }
+    const prevParties = detectParties(rows[0] || {}).filter(p => !list[i - 1].qualifiers || list[i - 1].qualifiers.includes(p));
+    const outcome = computeRoundOutcome(rows, prevParties, rounds[i - 1].advance);
+    list[i - 1].outcome = outcome;
+    if (outcome.winner){ list[i].note = `Not needed: ${nameOf(outcome.winner)} won ${list[i - 1].label} outright`; break; }
+    list[i].open = true;
+    list[i].qualifiers = outcome.qualifiers;
+  }
+  const wanted = roundKey != null ? list.findIndex(r => r.key === String(roundKey)) : -1;
+  let index = wanted >= 0 ? wanted : list.length - 1;
+  while (index > 0 && !list[index].open) index--;
+  return { effective: roundElection(election, rounds[index], index), index, list, qualifiers: list[index].qualifiers };
+}
+
+// Load one election (or one round of it) into a fresh STATE and (re)build the map. Safe to call repeatedly.
+async function loadElection(universe, baseElection, roundKey){
+  const seq = ++LOAD_SEQ;
+  const rounds = await resolveRound(universe, baseElection, roundKey);
+  const election = rounds.effective;
+  const levels = levelsFor(universe, election);
+  // The top-level CSV is optional when nested levels can be added up into it
+  const [gj, csvText, ...levelTexts] = await Promise.all([
+    j(universe.geojson), (election.csv || !levels.length) ? t(election.csv) : Promise.resolve(''), ...levels.map(l => t(l.csv))
+  ]);
+  // A newer pick may have started while we were fetching
+  if (seq !== LOAD_SEQ) return;
+  stopTick();
+  closeCallMenu();
+  closeDistrictDetail();
+  resetDistrictHistory();
+  resetShareHistory();
+  resetTicker();
+  teardownMap();
+  resetSimClock();
   const rowsFinal = parseCSV(csvText);
-  const parties = rowsFinal.length ? detectParties(rowsFinal[0]) : [];
-  const win = ensureCountWindow(election);
+  const levelRows = levelTexts.map(parseCSV);
+  const partySource = rowsFinal[0] || levelRows.find(rows => rows.length)?.[0];
+  let parties = partySource ? detectParties(partySource) : [];
+  // A runoff only counts the parties that qualified from the round before
+  if (rounds.qualifiers) parties = parties.filter(p => rounds.qualifiers.includes(p));
+  // Areas with children but no row of their own are added up from those children, innermost level first
+  for (let i = levels.length - 1; i >= 0; i--){
+    const parentRows = i === 0 ? rowsFinal : levelRows[i - 1];
+    const have = new Set(parentRows.map(r => String(r.district_id)));
+    parentRows.push(...aggregateChildRows(levelRows[i], levels[i].parent, parties).filter(r => !have.has(String(r.district_id))));
+  }
+  const aliases = { ...(universe?.aliases || {}), ...(election?.aliases || {}) };
+  const join = joinRowsToFeatures(rowsFinal, gj, aliases);
+  // Rows added up from children take their name from the map
+  const labels = new Map(join.matched.map(m => [m.rowId, m.featureLabel]));
+  for (const r of rowsFinal) if (r._fromChildren && r.name_rr == null) r.name_rr = labels.get(String(r.district_id)) || String(r.district_id);
+  if (!rowsFinal.columns.length && rowsFinal.length) rowsFinal.columns = Object.keys(rowsFinal[0]).filter(k => !k.startsWith('_'));
+  const issues = validateDataset(rowsFinal, parties, join);
+  levels.forEach((l, i) => issues.push(...validateLevel(l, levelRows[i], new Set((i === 0 ? rowsFinal : levelRows[i - 1]).map(r => String(r.district_id))))));
+  issues.push(...validateBias(election?.bias ?? universe?.bias, parties));
+  for (const q of (rounds.qualifiers || [])){
+    if (!parties.includes(q)) issues.unshift({ level: 'error', message: `Qualifier "${q}" has no "${q}_votes" column in this round's CSV.` });
+  }
+  renderDataCheck(issues, election?.csv || levels.map(l => l.csv).join(', '));
+  const win = ensureCountWindow(election, universe);
   // If no universe/election specified, default to Korea
   let defaultKorea = false;
   if (!universe?.name && !election?.name) {
@@ -31,69 +113,228 @@ async function init(){
     if (partyMeta['Park Heonyeong']) partyMeta['Park Heonyeong'].color = '#d00';
   }
   const callRules = Array.isArray(election?.call_rules) ? election.call_rules : [];
-  STATE = { parties, rowsFinal, gj, election, universe, startMs: win.startMs, endMs: win.endMs, partyMeta, callRules, isKorea };
+  const callRuleOverrides = (election?.call_rule_overrides && typeof election.call_rule_overrides === 'object') ? election.call_rule_overrides : {};
+  const bias = election?.bias ?? universe?.bias ?? null;
+  const seed = resolveScheduleSeed(universe, election);
+  STATE = { parties, rowsFinal, gj, election, baseElection, rounds, universe, startMs: win.startMs, endMs: win.endMs, windowSource: win.source, partyMeta, callRules, callRuleOverrides, bias, isKorea, seed, manifest: MANIFEST, calls: new Map(), manualCalls: loadManualCalls(universe, election) };
   try { window.STATE = STATE; } catch(_){}
-  STATE.scheduleRows = assignReportingSchedule(rowsFinal, STATE.startMs, STATE.endMs);
+  STATE.scheduleRows = assignReportingSchedule(rowsFinal, STATE.startMs, STATE.endMs, STATE.seed, election?.reporting);
+  // Pick up where this browser left off in the same count window
+  const saved = loadCountState(universe, election, STATE.startMs, STATE.endMs, STATE.seed);
+  if (saved){
+    STATE.scheduleRows = restoreSchedule(STATE.scheduleRows, saved);
+    STATE.calls = new Map(Object.entries(saved.calls || {}).filter(([, c]) => c && c.winner && Number.isFinite(c.at)));
+    restoreSimClock(saved);
+  }
+  STATE.levels = levels.map((l, i) => ({ ...l, rowsFinal: levelRows[i], gj: null, aliases }));
+  scheduleLevels();
+  STATE.view = { level: 0, path: [] };
   STATE.totalDistricts = new Set(rowsFinal.map(r => String(r.district_id))).size;
   const repInit = document.getElementById('provincesReporting');
   if (repInit) repInit.textContent = `0 / ${STATE.totalDistricts}`;
+  setElectionTitles(universe, election);
+  resetCandidateDocOptions();
+  renderRoundBar(rounds);
+
+  STATE.baselineSlug = defaultBaselineSlug(universe, baseElection);
+  STATE.baseline = null;
 
   // Map and controls
   initMapAndControls(gj, parties);
 
-  // About panel: fill once with long names
-  (function fillAbout(){
-    const host = document.getElementById('aboutCandidates');
-    if (!host || !Array.isArray(STATE?.parties)) return;
-    const items = STATE.parties.map(p => `\u003cli\u003e${displayPartyLong(p)}\u003c/li\u003e`).join('');
-    host.innerHTML = `\u003cul style="margin:0 0 0 16px;"\u003e${items}\u003c/ul\u003e`;
-  })();
-
-  // Header/Status: blink, clock, CPU wiggle
-  (function startStatusBarAnim(){
-    const dot = document.getElementById('statusLiveDot');
-    const cpu = document.getElementById('statusCpu');
-    const hd  = document.getElementById('hdrLiveDot');
-    const hc  = document.getElementById('hdrClock');
-    let t = 0;
-    setInterval(function() {
-      t++;
-      // Alternate solid/outline dots for a clear live blinker
-      const a = '●', b = '○';
-      if (dot) dot.textContent = (t % 2) ? a : b;
-      if (hd)  hd.textContent  = (t % 2) ? a : b;
-      if (hc)  hc.textContent  = new Date().toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'});
-      if (cpu){ const base = 12, amp = 6; const val = Math.round(base + amp * (0.5 + 0.5*Math.sin(t/6))); cpu.textContent = `CPU Usage: ${val}%`; }
-    }, 1000);
-  })();
-
-  // Live tick
-  const TICK_MS = 2000;
-  const timer = setInterval(() => {
-    const now = Date.now();
-    const progress = computeProgress(STATE.startMs, STATE.endMs);
-    const rowsLive = scaleRowsBySchedule(STATE.scheduleRows, STATE.parties, now);
-    updateCalls(rowsLive, STATE.parties);
-    const byId2 = new Map(rowsLive.map(r => [String(r.district_id), r]));
-    STATE.gj.features.forEach(f => { f.properties._row = byId2.get(String(f.properties.district_id)) || null; });
-    updateProgressUI(progress);
-    renderDesk(progress, rowsLive, STATE.parties);
-    const xpZoomEl = document.querySelector('.xp-zoom');
-    const modeSelect = xpZoomEl ? xpZoomEl.querySelector('#mode') : null;
-    updateMapStyling(modeSelect ? modeSelect.value : 'winner');
-    if (window.HOVER && HOVER.layer && typeof HOVER.layer.getTooltip === 'function'){
-      const tt = HOVER.layer.getTooltip && HOVER.layer.getTooltip();
-      if (tt){ tt.setContent(makeTipEnhanced(HOVER.feature)); HOVER.layer.openTooltip(HOVER.latlng); }
-    }
-    const allDone = rowsLive.every(r => now >= r.report_end);
-    if (progress >= 100 && allDone) clearInterval(timer);
-  }, TICK_MS);
-
-  // Show current project/universe/election in header
-  const projHeader = document.getElementById('projectHeader');
-  if (projHeader) {
-    projHeader.textContent = `Project: ${universe?.name || ''} / ${election?.name || ''}`;
+  // About panel: manifest metadata, candidates, election docs
+  renderAbout(STATE);
+
+  tick();
+  if (STATE.baselineSlug) setBaseline(STATE.baselineSlug);
+}
+
+// Load (or drop, with null) the election the swing and flip modes compare against
+async function setBaseline(slug){
+  if (!STATE) return;
+  const state = STATE;
+  state.baselineSlug = slug;
+  let baseline = null;
+  if (slug){
+    try { baseline = await loadBaseline(state.universe, slug); } catch(_) { baseline = null; }
+  }
+  // Another election (or another baseline) was picked meanwhile
+  if (state !== STATE || state.baselineSlug !== slug) return;
+  STATE.baseline = baseline;
+  renderBaselineOptions(STATE.universe, STATE.baseElection, baseline?.slug);
+  injectBaselineOptions(STATE.parties, baseline);
+  tick();
+}
+
+// A new count window throws away the old schedule and calls and restarts the clock. `fresh` (Reset count)
+// also drops the host's manual calls.
+function applyCountWindow(win, fresh = false){
+  if (!STATE || !win) return;
+  clearCountState(STATE.universe, STATE.election);
+  if (fresh){
+    STATE.manualCalls = new Map();
+    saveManualCalls(STATE.universe, STATE.election, STATE.manualCalls);
+  }
+  STATE.startMs = win.startMs;
+  STATE.endMs = win.endMs;
+  STATE.windowSource = win.source;
+  STATE.scheduleRows = assignReportingSchedule(STATE.rowsFinal, STATE.startMs, STATE.endMs, STATE.seed, STATE.election?.reporting);
+  scheduleLevels();
+  STATE.calls = new Map();
+  resetSimClock();
+  resetTicker();
+  resetDistrictHistory();
+  resetShareHistory();
+  renderAboutMeta(STATE);
+  tick();
+}
+
+// Nested levels report inside the windows of the areas that contain them
+function scheduleLevels(){
+  STATE.levels.forEach((l, i) => {
+    const parents = i === 0 ? STATE.scheduleRows : STATE.levels[i - 1].scheduleRows;
+    l.scheduleRows = assignChildSchedule(l.rowsFinal, parents, l.parent, STATE.startMs, STATE.endMs, `${STATE.seed}/${l.key}`, l.reporting);
+  });
+}
+
+// Live rows for the top level and every nested level; rows built from children follow their live sum
+function liveLevelRows(now){
+  const levels = STATE.levels || [];
+  const live = new Array(levels.length);
+  for (let i = levels.length - 1; i >= 0; i--){
+    live[i] = foldChildLive(scaleRowsBySchedule(levels[i].scheduleRows, STATE.parties, now), live[i + 1], levels[i + 1]?.parent, STATE.parties);
   }
+  const top = foldChildLive(scaleRowsBySchedule(STATE.scheduleRows, STATE.parties, now), live[0], levels[0]?.parent, STATE.parties);
+  return { top, levels: live };
+}
+
+function startTick(){
+  if (!TICK_TIMER) TICK_TIMER = setInterval(tick, TICK_MS);
+}
+function stopTick(){
+  if (TICK_TIMER) clearInterval(TICK_TIMER);
+  TICK_TIMER = null;
+}
+
+// Live tick
+function tick(){
+  if (!STATE || !LAYER) return;
+  const now = simNow();
+  const progress = computeProgress(STATE.startMs, STATE.endMs, now);
+  const live = liveLevelRows(now);
+  const rowsLive = live.top;
+  updateCalls(rowsLive, STATE.parties);
+  STATE.rowsLive = rowsLive;
+  STATE.levelLive = live.levels;
+  // Chart gaps are replayed with nested levels folded in, as the live rows are; after a reload both charts
+  // replay the same count times, so each is folded once
+  const replayed = new Map();
+  const liveAt = (t) => { if (!replayed.has(t)) replayed.set(t, liveLevelRows(t)); return replayed.get(t); };
+  sampleDistrictHistory(now, [rowsLive, ...live.levels], (t) => { const at = liveAt(t); return [at.top, ...at.levels]; });
+  sampleShareHistory(now, rowsLive, (t) => liveAt(t).top);
+  persistCountState();
+  // Rows for whatever the map is showing: the top level or the children of a drilled-into area
+  const viewRows = STATE.view.level ? live.levels[STATE.view.level - 1] : rowsLive;
+  const byId2 = new Map(viewRows.map(r => [String(r.district_id), r]));
+  viewGeoJSON().features.forEach(f => { f.properties._row = f.properties._joinId != null ? (byId2.get(f.properties._joinId) || null) : null; });
+  updateProgressUI(progress);
+  STATE.seats = computeSeats(rowsLive, STATE.parties, STATE.election?.seats);
+  renderDesk(progress, rowsLive, STATE.parties, STATE.seats);
+  renderHemicycle(STATE.seats);
+  renderShareChart();
+  STATE.projection = projectNational(rowsLive, STATE.parties);
+  renderProjection(STATE.projection, STATE.parties);
+  renderResults(rowsLive, STATE.parties);
+  renderDistrictDetail();
+  updateTicker(rowsLive, STATE.seats, progress);
+  const xpZoomEl = document.querySelector('.xp-zoom');
+  const modeSelect = xpZoomEl ? xpZoomEl.querySelector('#mode') : null;
+  updateMapStyling(modeSelect ? modeSelect.value : 'winner');
+  if (window.HOVER && HOVER.layer && typeof HOVER.layer.getTooltip === 'function'){
+    const tt = HOVER.layer.getTooltip && HOVER.layer.getTooltip();
+    if (tt){ tt.setContent(makeTipEnhanced(HOVER.feature)); HOVER.layer.openTooltip(HOVER.latlng); }
+  }
+  // If a later round's data cannot be fetched, the round bar keeps its last state
+  if (STATE.rounds.index >= 0 && progress >= 100 && rowsLive.every(r => r._phase >= 1)) markRoundCounted().catch(() => {});
+  // A finished count has nothing left to redraw: idle until the clock is moved (every seek, play or
+  // speed change ticks once, which restarts the timer if it lands back inside the count)
+  if (progress >= 100 && !SIM_SCRUBBING) stopTick();
+  else startTick();
+}
+
+// Save only when something a reload would lose has changed: the set of calls or the playback clock
+function persistCountState(){
+  const key = [...STATE.calls].map(([id, c]) => `${id}@${c.at}`).join('|') + `#${SIM.anchorSim}|${SIM.rate}|${SIM.paused}`;
+  if (STATE.persistKey === key) return;
+  STATE.persistKey = key;
+  saveCountState(STATE);
+}
+
+// The current round just finished counting: open the next round if one is due
+async function markRoundCounted(){
+  const key = roundCountedKey(STATE.universe, STATE.election);
+  if (ROUNDS_COUNTED.has(key)) return;
+  ROUNDS_COUNTED.add(key);
+  const state = STATE;
+  const again = await resolveRound(state.universe, state.baseElection, state.rounds.list[state.rounds.index].key);
+  if (state !== STATE) return;
+  STATE.rounds.list = again.list;
+  renderRoundBar(STATE.rounds);
+}
+
+// Round picker on the desk
+function switchRound(roundKey){
+  if (!STATE) return;
+  pushElectionQuery(STATE.universe, STATE.baseElection, roundKey);
+  loadElectionOrReport(STATE.universe, STATE.baseElection, roundKey);
+}
+
+// Header/Status: blink, clock, CPU wiggle
+function startStatusBarAnim(){
+  const dot = document.getElementById('statusLiveDot');
+  const cpu = document.getElementById('statusCpu');
+  const hd  = document.getElementById('hdrLiveDot');
+  const hc  = document.getElementById('hdrClock');
+  let t = 0;
+  setInterval(function() {
+    t++;
+    // Alternate solid/outline dots for a clear live blinker
+    const a = '●', b = '○';
+    if (dot) dot.textContent = (t % 2) ? a : b;
+    if (hd)  hd.textContent  = (t % 2) ? a : b;
+    if (hc)  hc.textContent  = new Date().toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'});
+    if (cpu){ const base = 12, amp = 6; const val = Math.round(base + amp * (0.5 + 0.5*Math.sin(t/6))); cpu.textContent = `CPU Usage: ${val}%`; }
+  }, 1000);
+}
+
+// Load, and report a failed fetch in the data check rather than as an unhandled rejection
+function loadElectionOrReport(universe, election, roundKey){
+  const loading = loadElection(universe, election, roundKey);
+  const seq = LOAD_SEQ;
+  return loading.catch(err => {
+    // A newer pick has taken over; its own outcome is what the host should see
+    if (seq !== LOAD_SEQ) return;
+    renderDataCheck([{ level: 'error', message: `Could not load ${election?.label || election?.slug || 'the election'}: ${err?.message || err}` }], universe?.label || universe?.key);
+  });
+}
+
+// Re-read ?u=&e=&r= and load whatever they point at
+function loadFromUrl(){
+  const { universe, election } = selectUniverseElection(MANIFEST);
+  setElectionPickerValue(universe, election);
+  return loadElectionOrReport(universe, election, getQueryParams().get('r'));
+}
+
+async function init(){
+  // Load manifest and select dataset by URL params
+  MANIFEST = await j('manifest.json');
+  setupElectionPicker(MANIFEST, (universe, election) => {
+    pushElectionQuery(universe, election);
+    loadElectionOrReport(universe, election);
+  });
+  window.addEventListener('popstate', () => loadFromUrl());
+  startStatusBarAnim();
+  await loadFromUrl();
 }
 
 init();
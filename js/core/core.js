@@ -2,20 +2,96 @@
 // Core utilities: fetch helpers, CSV parsing, color + stats, calling rules, and simulation helpers.
 
 // --- Fetch helpers ---
-async function j(u){ return await (await fetch(u)).json(); }
-async function t(u){ return await (await fetch(u)).text(); }
+// A 404 page is not data: fail like a network error so callers can report it
+async function fetchOk(u){
+  const r = await fetch(u);
+  if (r.ok === false) throw new Error(`${u}: HTTP ${r.status}`);
+  return r;
+}
+async function j(u){ return await (await fetchOk(u)).json(); }
+async function t(u){ return await (await fetchOk(u)).text(); }
+
+// --- CSV parsing (RFC 4180: quoted fields, doubled quotes, CRLF/LF, BOM, blank lines) ---
+// Each record carries `line`, the source line it starts on (blank lines and quoted line breaks count).
+function parseCSVRecords(txt){
+  const src = String(txt || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let row = [], field = '', inQuotes = false, line = 1;
+  row.line = line;
+  for (let i = 0; i < src.length; i++){
+    const c = src[i];
+    if (inQuotes){
+      if (c === '"'){
+        if (src[i+1] === '"'){ field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        if (c === '\n' || (c === '\r' && src[i+1] !== '\n')) line++;
+        field += c;
+      }
+      continue;
+    }
+    if (c === '"') inQuotes = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\r' || c === '\n') {
+      if (c === '\r' && src[i+1] === '\n') i++;
+      row.push(field); field = '';
+      records.push(row); row = [];
+      row.line = ++line;
+    }
+    else field += c;
+  }
+  if (field !== '' || row.length) { row.push(field); records.push(row); }
+  // Blank lines come through as a single empty field
+  return records.filter(r => !(r.length === 1 && r[0].trim() === ''));
+}
 
-// --- CSV parsing ---
+// Identifier and name columns stay strings even when they look numeric ("01" must not become 1)
+const CSV_STRING_COLUMNS = /(^|_)(id|name|rr|code)$|^name/i;
+const CSV_NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+// Counts and turnout are numeric whatever they hold, so an all-blank column reads as empty rather than as text
+const CSV_NUMBER_COLUMNS = /_votes$|^eligible_voters_est$|^turnout(_est)?$/i;
+
+// Returns row objects; the array also carries `columns` (header order) and `ragged` (records whose
+// field count differs from the header) for validateDataset.
 function parseCSV(txt){
-  const rows = String(txt || '').trim().split(/\r?\n/);
-  if (!rows.length) return [];
-  const header = rows.shift().split(',');
-  return rows.map(line => {
-    const cells = line.split(',');
+  const records = parseCSVRecords(txt);
+  const header = records.length ? records.shift().map(h => h.trim()) : [];
+  const rows = records.map(cells => {
     const obj = {};
-    for (let i=0;i<header.length;i++) obj[header[i]] = cells[i];
+    for (let i=0;i<header.length;i++) obj[header[i]] = cells[i] == null ? '' : cells[i].trim();
     return obj;
   });
+  const ragged = [];
+  records.forEach(cells => { if (cells.length !== header.length) ragged.push({ line: cells.line, expected: header.length, got: cells.length }); });
+  for (const col of header){
+    if (CSV_STRING_COLUMNS.test(col)) continue;
+    // Mostly-numeric columns are numeric; stray text cells stay strings so validation can point at them
+    const filled = rows.filter(r => r[col] !== '');
+    const numeric = filled.filter(r => CSV_NUMBER.test(r[col])).length;
+    if (!CSV_NUMBER_COLUMNS.test(col) && (!filled.length || numeric * 2 < filled.length)) continue;
+    for (const r of rows){
+      if (r[col] === '') r[col] = null;
+      else if (CSV_NUMBER.test(r[col])) r[col] = Number(r[col]);
+    }
+  }
+  rows.columns = header;
+  rows.ragged = ragged;
+  return rows;
+}
+
+// CSV writer (LF line ends like data/*.csv): quote cells holding a comma, quote or line break; null/undefined become empty cells
+function toCSV(rows, columns){
+  const cell = (v) => {
+    if (v == null) return '';
+    const str = String(v);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.map(cell).join(','), ...rows.map(r => columns.map(c => cell(r[c])).join(','))].join('\n') + '\n';
+}
+
+// Text for HTML/SVG markup (tables, exported maps and seat charts): CSV and manifest labels may hold & or <
+function escXml(v){
+  return String(v ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
 // --- Party detection from columns ---
@@ -92,6 +168,21 @@ function percentColorByParty(partyName, i, steps=6){
   return `hsl(${hue.toFixed(0)},${S}%,${L.toFixed(0)}%)`;
 }
 
+// Diverging swing palette: gains shade towards the party's hue, losses towards the opposite hue.
+const SWING_BINS = [2, 5, 10];
+function swingIdx(v){
+  if (v == null || !Number.isFinite(v)) return null;
+  const k = SWING_BINS.findIndex(b => Math.abs(v) < b);
+  const mag = k < 0 ? SWING_BINS.length : k;
+  return v < 0 ? -(mag + 1) : mag + 1;
+}
+function swingColor(partyName, idx){
+  if (idx == null) return '#bbb';
+  const hue = idx > 0 ? partyHue(partyName) : (partyHue(partyName) + 180) % 360;
+  const L = 88 - (Math.abs(idx) - 1) * 14;
+  return `hsl(${hue.toFixed(0)},60%,${L}%)`;
+}
+
 // --- Row stats helpers ---
 function winnerForRow(row, parties){ let best=null,bv=-Infinity; for (const p of parties){ const s=row?._party?.[p]?.share ?? -Infinity; if (s>bv){bv=s;best=p;} } return best?{party:best,share:bv}:null; }
 function topTwo(row, parties){
@@ -115,29 +206,58 @@ function mixPartyColors(p1, p2){
 }
 
 // --- Race calling rules ---
-// Default thresholds if none provided by data: array of {phase, lead} conditions.
+// Default thresholds if none provided by data. Every condition a rule names must hold for it to fire:
+//   phase                     minimum reporting fraction (0..1)
+//   lead                      minimum lead in share points
+//   lead_votes                minimum lead in ballots
+//   max_outstanding           at most this many ballots left to count
+//   lead_exceeds_outstanding  the ballot lead is larger than everything left to count
 const DEFAULT_CALL_RULES = [
   { phase: 0.99, lead: 0.5 },
   { phase: 0.92, lead: 12 },
   { phase: 0.85, lead: 18 },
   { phase: 0.75, lead: 25 }
 ];
+// The rule a call carries when it was made at 100% reporting rather than by a call rule
+const FULL_COUNT_RULE = { full_count: true };
 
+// Ballots a district is expected to cast: eligible x turnout when the CSV has both, never less than its final tally
+function expectedBallots(row, parties){
+  const tally = parties.reduce((s, p) => s + Math.max(0, Number(row?.[`${p}_votes`]) || 0), 0);
+  const el = Number(row?.eligible_voters_est), to = Number(row?.turnout ?? row?.turnout_est);
+  return (el > 0 && to > 0) ? Math.max(tally, Math.round(el * to / 100)) : tally;
+}
+
+function callRuleHolds(r, m){
+  if (r.phase != null && !(m.phase >= r.phase)) return false;
+  if (r.lead != null && !(m.lead >= r.lead)) return false;
+  if (r.lead_votes != null && !(m.leadVotes >= r.lead_votes)) return false;
+  if (r.max_outstanding != null && !(m.outstanding <= r.max_outstanding)) return false;
+  if (r.lead_exceeds_outstanding && !(m.leadVotes > m.outstanding)) return false;
+  return true;
+}
+
+// Returns the call state plus the measures it was judged on and the rule that fired (if any)
 function raceCallStatus(row, parties, rules){
   const phase = typeof row._phase === 'number' ? row._phase : ((row?._totalVotes||0) > 0 ? 1 : 0);
   const t2 = topTwo(row, parties);
   const lead = (Number.isFinite(t2.leader.share) && Number.isFinite(t2.runnerUp.share)) ? (t2.leader.share - t2.runnerUp.share) : 0;
+  const leadVotes = (row?._party?.[t2.leader.key]?.votes || 0) - (row?._party?.[t2.runnerUp.key]?.votes || 0);
+  const counted = row?._totalVotes || 0;
+  const outstanding = phase >= 0.999 ? 0 : Math.max(0, expectedBallots(row, parties) - counted);
+  const measures = { lead, leadVotes, phase, counted, outstanding, leader: t2.leader, runnerUp: t2.runnerUp };
   // At full reporting, definitively call for leader if any lead exists
   if (phase >= 0.999) {
     const called = Number.isFinite(lead) && lead > 0;
-    return { called, lead, phase, label: called ? 'called' : 'tossup', leader: t2.leader, runnerUp: t2.runnerUp };
+    return { ...measures, called, label: called ? 'called' : 'tossup', rule: called ? FULL_COUNT_RULE : null };
   }
   const rr = Array.isArray(rules) && rules.length ? rules : DEFAULT_CALL_RULES;
-  const called = rr.some(r => phase >= (r.phase||0) && lead >= (r.lead||0));
+  const rule = counted > 0 ? (rr.find(r => callRuleHolds(r, measures)) || null) : null;
+  const called = !!rule;
   let label = 'tossup';
   if (called) label = 'called';
   else if (lead >= 4) label = 'lean';
-  return { called, lead, phase, label, leader: t2.leader, runnerUp: t2.runnerUp };
+  return { ...measures, called, label, rule };
 }
 
 // ===== Early/Late Reporting Simulation Helpers =====
@@ -151,10 +271,10 @@ function biasVectorFor(districtKey, parties, amp=0.2){
   const maxAbs = Math.max(1e-9, Math.max(...vec.map(v=>Math.abs(v))));
   return Object.fromEntries(parties.map((p,i)=>[p, (vec[i]/maxAbs)*amp]));
 }
-// Bias fade with reporting phase (1.0 -> no bias)
-function earlyWeight(bias, phase, alpha=1.2){
-  const influence = Math.pow(1 - Math.max(0, Math.min(1, phase)), alpha);
-  const w = 1 + bias * influence;
+// Early lean fades as (1-phase)^alpha; late lean holds a party back until phase^alpha catches up
+function countWeight(early, late, phase, alpha=1.2){
+  const f = Math.max(0, Math.min(1, phase));
+  const w = 1 + (early || 0) * Math.pow(1 - f, alpha) - (late || 0) * (1 - Math.pow(f, alpha));
   return Math.max(0.2, w);
 }
 // Apportion 'total' integer ballots proportionally to weights array
@@ -168,3 +288,18 @@ function apportion(total, weights){
   for (let k=0; k<fracs.length && left>0; k++, left--){ floors[fracs[k].i]++; }
   return floors;
 }
+// Apportion, but never past caps[i]: whatever a capped entry would get over its cap goes to the rest
+function apportionCapped(total, weights, caps){
+  const out = weights.map(() => 0);
+  const open = new Set(weights.map((_, i) => i));
+  let left = Math.min(total, caps.reduce((a, b) => a + Math.max(0, b), 0));
+  while (left > 0 && open.size){
+    const idx = [...open];
+    const alloc = apportion(left, idx.map(i => weights[i]));
+    const over = idx.filter((i, k) => out[i] + alloc[k] >= caps[i]);
+    if (!over.length){ idx.forEach((i, k) => { out[i] += alloc[k]; }); break; }
+    for (const i of over){ left -= caps[i] - out[i]; out[i] = caps[i]; open.delete(i); }
+    if (alloc.every(a => a === 0)) break;
+  }
+  return out;
+}
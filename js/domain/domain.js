@@ -25,50 +25,322 @@ function selectUniverseElection(manifest){
   return { universe, election };
 }
 
+// Point ?u=&e=(&r=) at a picked election so the link can be shared; a seed belongs to the old election, so drop it.
+function pushElectionQuery(universe, election, roundKey){
+  try {
+    const params = getQueryParams();
+    params.set('u', String(universe?.key ?? ''));
+    params.set('e', String(election?.slug ?? ''));
+    if (roundKey != null) params.set('r', String(roundKey)); else params.delete('r');
+    params.delete('seed');
+    window.history.pushState(null, '', `${window.location.pathname}?${params.toString()}${window.location.hash}`);
+  } catch(_){}
+}
+
+// --- Rounds ---
+// A round reads like an election of its own: its fields override the parent's, and its slug
+// "<election>/<round>" keeps count windows and default seeds apart.
+function roundElection(election, round, index){
+  const { rounds, ...base } = election || {};
+  const key = String(round?.key ?? `r${index + 1}`);
+  const eff = { ...base, ...round, slug: `${base.slug}/${key}`, round_key: key, round_index: index };
+  eff.label = [base.label, round?.label || `Round ${index + 1}`].filter(Boolean).join(' — ');
+  if (round?.seed == null && base.seed != null) eff.seed = `${base.seed}/${key}`;
+  return eff;
+}
+
+// advance: "majority" (over 50% wins outright, else top two), "top_two" (always a runoff),
+// or { share, top } for a custom outright threshold (share reached) and number of qualifiers.
+function roundAdvanceRule(advance){
+  if (advance === 'top_two') return { outright: null, strict: false, top: 2 };
+  if (advance && typeof advance === 'object'){
+    const share = Number(advance.share ?? advance.threshold);
+    return { outright: Number.isFinite(share) ? share : null, strict: false, top: Math.max(1, Number(advance.top) || 2) };
+  }
+  return { outright: 50, strict: true, top: 2 };
+}
+
+// Final national result of a round and who goes through
+function computeRoundOutcome(rowsFinal, parties, advance){
+  const counted = scaleRowsBySchedule(rowsFinal.map(r => ({ ...r, report_start: 0, report_end: 0 })), parties, 1);
+  const agg = computeNational(counted, parties);
+  const rule = roundAdvanceRule(advance);
+  const top = agg.ordered[0] || null;
+  const pct = top ? agg.natPct[top] : 0;
+  if (top && rule.outright != null && (rule.strict ? pct > rule.outright : pct >= rule.outright)) return { winner: top, qualifiers: [top], agg };
+  return { winner: null, qualifiers: agg.ordered.slice(0, rule.top), agg };
+}
+
 // --- Count window ---
-function ensureCountWindow(election) {
+// Windows are stored per universe/election so one election's count never leaks into another.
+const DEFAULT_COUNT_MINUTES = 5;
+function countWindowKey(universe, election){ return `countWindow:${universe?.key || ''}/${election?.slug || ''}`; }
+function loadCountWindow(universe, election){
+  try {
+    const saved = JSON.parse(localStorage.getItem(countWindowKey(universe, election)) || 'null');
+    if (saved && Number.isFinite(saved.startMs) && Number.isFinite(saved.endMs) && saved.endMs > saved.startMs) return saved;
+  } catch (_){}
+  return null;
+}
+function saveCountWindow(universe, election, win){
+  try { localStorage.setItem(countWindowKey(universe, election), JSON.stringify(win)); } catch(_){}
+  return win;
+}
+function clearCountWindow(universe, election){
+  try { localStorage.removeItem(countWindowKey(universe, election)); } catch(_){}
+}
+
+// Manifest forms: count_start + count_end, count_start + count_duration_min, or count_duration_min alone
+// (the count then starts the first time this browser opens the election).
+function manifestCountWindow(election){
   const s = Date.parse(election?.count_start);
   const e = Date.parse(election?.count_end);
+  const mins = Number(election?.count_duration_min);
   if (Number.isFinite(s) && Number.isFinite(e) && e > s) return { startMs: s, endMs: e };
-  try {
-    const saved = JSON.parse(localStorage.getItem('countWindow') || 'null');
-    if (saved && Number.isFinite(saved.startMs) && Number.isFinite(saved.endMs) && saved.endMs > Date.now()) {
-      return saved;
-    }
-  } catch (_){}
+  if (Number.isFinite(s) && mins > 0) return { startMs: s, endMs: s + mins*60*1000 };
+  return null;
+}
+
+// Same precedence as ensureCountWindow, but never creates a window
+function peekCountWindow(election, universe){
+  const saved = loadCountWindow(universe, election);
+  if (saved && saved.source === 'host') return saved;
+  const fixed = manifestCountWindow(election);
+  if (fixed) return { ...fixed, source: 'manifest' };
+  return saved;
+}
+
+// Host-set window first, then the manifest, then the stored automatic window. A finished automatic
+// window is kept (not restarted) so a counted round stays counted; the host resets it from settings.
+function ensureCountWindow(election, universe) {
+  const win = peekCountWindow(election, universe);
+  if (win) return win;
+  const mins = Number(election?.count_duration_min) > 0 ? Number(election.count_duration_min) : DEFAULT_COUNT_MINUTES;
   const now = Date.now();
-  const fresh = { startMs: now, endMs: now + 5*60*1000 };
-  try { localStorage.setItem('countWindow', JSON.stringify(fresh)); } catch(_){}
-  return fresh;
+  return saveCountWindow(universe, election, { startMs: now, endMs: now + mins*60*1000, source: 'auto' });
 }
 
+// --- Simulation clock ---
+// Virtual count time: follows the wall clock at `rate` from an anchor, and can be paused or moved anywhere.
+const SIM = { anchorWall: Date.now(), anchorSim: Date.now(), rate: 1, paused: false };
+function simNow(){ return SIM.paused ? SIM.anchorSim : SIM.anchorSim + (Date.now() - SIM.anchorWall) * SIM.rate; }
+function rebaseSim(){ SIM.anchorSim = simNow(); SIM.anchorWall = Date.now(); }
+function setSimPaused(paused){ rebaseSim(); SIM.paused = !!paused; }
+function setSimRate(rate){ rebaseSim(); SIM.rate = (Number(rate) > 0) ? Number(rate) : 1; }
+function seekSim(ms){ if (!Number.isFinite(ms)) return; SIM.anchorSim = ms; SIM.anchorWall = Date.now(); }
+function resetSimClock(){ SIM.anchorWall = SIM.anchorSim = Date.now(); SIM.rate = 1; SIM.paused = false; }
+
 // --- Progress percentage (0..100) over count window ---
-function computeProgress(startMs, endMs) {
-  const now = Date.now();
+function computeProgress(startMs, endMs, now = simNow()) {
   if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs <= startMs) return 100;
   if (now <= startMs) return 0;
   if (now >= endMs) return 100;
   return ((now - startMs) / (endMs - startMs)) * 100;
 }
 
+// --- Schedule seed ---
+// ?seed= on the URL wins, then election.seed; otherwise a stable per-election key so every viewer shares one timeline.
+function resolveScheduleSeed(universe, election){
+  const fromUrl = getQueryParams().get('seed');
+  if (fromUrl) return String(fromUrl);
+  if (election?.seed != null && String(election.seed) !== '') return String(election.seed);
+  return `${universe?.key || ''}/${election?.slug || ''}`;
+}
+
+// --- Reporting profiles (start/duration/jitter as fractions of the count window) ---
+// Legacy Korean timing table: only consulted when neither the manifest nor the CSV describe timing.
+const FALLBACK_REPORTING_BIASES = [
+  { match: /Seoul/i, start: 0.25 },
+  { match: /Jeon|Jeolla/i, start: 0.35 },
+  { match: /Hamgyeong/i, start: 0.65 },
+  { match: /Pyeong/i, start: 0.55 }
+];
+const DEFAULT_REPORTING_PROFILE = { start: 0.5, duration: 0.375, jitter: 0.3, duration_jitter: 0.25 };
+// Bounds on a district's start fraction. The regex table keeps its original ones, so an election with no
+// timing in the manifest or CSV reports on the same schedule as before.
+const REPORTING_START_BOUNDS = [0, 0.95];
+const FALLBACK_START_BOUNDS = [0.05, 0.9];
+const REPORTING_CSV_COLUMNS = { start: 'report_start_frac', duration: 'report_duration_frac', jitter: 'report_jitter_frac' };
+
+function pickProfileFields(src){
+  const out = {};
+  if (!src || typeof src !== 'object') return out;
+  for (const k of ['start', 'duration', 'jitter', 'duration_jitter']){
+    const v = Number(src[k]);
+    if (src[k] != null && src[k] !== '' && Number.isFinite(v)) out[k] = v;
+  }
+  return out;
+}
+
+// Layering, lowest to highest: defaults, manifest default, first matching manifest pattern,
+// manifest district entry, CSV columns. The regex table only applies when none of those exist.
+function reportingProfileFor(row, reporting){
+  const did = String(row.district_id || '');
+  const fromCsv = {};
+  for (const [k, col] of Object.entries(REPORTING_CSV_COLUMNS)){
+    const v = Number(row[col]);
+    if (row[col] != null && row[col] !== '' && Number.isFinite(v)) fromCsv[k] = v;
+  }
+  const hasManifest = reporting && typeof reporting === 'object';
+  if (!hasManifest && !Object.keys(fromCsv).length){
+    const hit = FALLBACK_REPORTING_BIASES.find(b => b.match.test(did));
+    return { ...DEFAULT_REPORTING_PROFILE, ...(hit ? { start: hit.start } : {}), bounds: FALLBACK_START_BOUNDS };
+  }
+  const patterns = Array.isArray(reporting?.patterns) ? reporting.patterns : [];
+  const pattern = patterns.find(p => {
+    try { return p && p.match && new RegExp(p.match, 'i').test(did); } catch(_) { return false; }
+  });
+  const district = reporting?.districts?.[did];
+  return {
+    ...DEFAULT_REPORTING_PROFILE,
+    ...pickProfileFields(reporting?.default),
+    ...pickProfileFields(pattern),
+    ...pickProfileFields(district),
+    ...fromCsv,
+    bounds: REPORTING_START_BOUNDS
+  };
+}
+
+// --- Count bias (whose ballots are counted early or late) ---
+// election.bias (else the universe's): named `profiles` of per-party `early` and `late` lean, assigned to
+// districts like `reporting` is: `default`, then the first matching `patterns` entry, then `districts`.
+// Each layer may set `profile` (a name or a list), `amplitude` (scales the leans), `alpha` (fade curve)
+// and `noise` (amplitude of the hashed per-district term; 0 turns it off).
+const DEFAULT_BIAS_SETTINGS = { profile: [], amplitude: 1, alpha: 1.25, noise: 0.2 };
+const BIAS_CACHE = new WeakMap(); // schedule row -> resolved leans
+
+function pickBiasFields(src){
+  const out = {};
+  if (!src || typeof src !== 'object') return out;
+  if (src.profile != null) out.profile = (Array.isArray(src.profile) ? src.profile : [src.profile]).map(String);
+  for (const k of ['amplitude', 'alpha', 'noise']){
+    const v = Number(src[k]);
+    if (src[k] != null && src[k] !== '' && Number.isFinite(v)) out[k] = v;
+  }
+  return out;
+}
+
+function biasSettingsFor(row, bias){
+  const did = String(row.district_id || '');
+  const patterns = Array.isArray(bias?.patterns) ? bias.patterns : [];
+  const pattern = patterns.find(p => {
+    try { return p && p.match && new RegExp(p.match, 'i').test(did); } catch(_) { return false; }
+  });
+  return {
+    ...DEFAULT_BIAS_SETTINGS,
+    ...pickBiasFields(bias?.default),
+    ...pickBiasFields(pattern),
+    ...pickBiasFields(bias?.districts?.[did])
+  };
+}
+
+// { alpha, early: {party: lean}, late: {party: lean}, noise: {party: lean}, noiseAmp }
+function biasLeansFor(row, parties, bias){
+  const cached = BIAS_CACHE.get(row);
+  if (cached && cached.bias === bias && cached.parties === parties) return cached.leans;
+  const s = biasSettingsFor(row, bias);
+  const noise = s.noise > 0 ? biasVectorFor(String(row.district_id || ''), parties, s.noise) : {};
+  const early = {}, late = {};
+  for (const p of parties){ early[p] = 0; late[p] = 0; }
+  for (const name of s.profile){
+    const prof = bias?.profiles?.[name];
+    if (!prof) continue;
+    for (const p of parties){
+      early[p] += s.amplitude * (Number(prof.early?.[p]) || 0);
+      late[p] += s.amplitude * (Number(prof.late?.[p]) || 0);
+    }
+  }
+  const leans = { alpha: s.alpha, early, late, noise, noiseAmp: Math.max(0, s.noise) };
+  BIAS_CACHE.set(row, { bias, parties, leans });
+  return leans;
+}
+
+// Per-party weights on the ballots counted so far; all 1 once the district is fully counted.
+// Without `withNoise` only the declared profiles count: what a projection can know in advance.
+function countBiasWeights(row, parties, phase, bias = window.STATE?.bias, withNoise = true){
+  const b = biasLeansFor(row, parties, bias);
+  return parties.map(p => countWeight(b.early[p] + (withNoise ? (b.noise[p] || 0) : 0), b.late[p], phase, b.alpha));
+}
+
+function validateBias(bias, parties){
+  const issues = [];
+  if (!bias || typeof bias !== 'object') return issues;
+  const names = new Set(Object.keys(bias.profiles || {}));
+  const used = [bias.default, ...(Array.isArray(bias.patterns) ? bias.patterns : []), ...Object.values(bias.districts || {})]
+    .flatMap(l => pickBiasFields(l).profile || []);
+  const unknown = [...new Set(used.filter(n => !names.has(n)))];
+  if (unknown.length) issues.push({ level: 'warning', message: `Bias: unknown profile(s) ${unknown.join(', ')}.` });
+  const strays = [...new Set(Object.values(bias.profiles || {}).flatMap(p => [...Object.keys(p?.early || {}), ...Object.keys(p?.late || {})]))]
+    .filter(p => !parties.includes(p));
+  if (strays.length) issues.push({ level: 'warning', message: `Bias: profiles name parties not in the CSV (${strays.join(', ')}).` });
+  return issues;
+}
+
 // --- District reporting schedule ---
-function assignReportingSchedule(rows, startMs, endMs) {
+function assignReportingSchedule(rows, startMs, endMs, seed = '', reporting = null) {
   const span = Math.max(1, endMs - startMs);
   return rows.map(r => {
-    let bias = 0.5;
     const did = String(r.district_id || '');
-    if (/Seoul/i.test(did)) bias = 0.25;
-    else if (/Jeon|Jeolla/i.test(did)) bias = 0.35;
-    else if (/Hamgyeong/i.test(did)) bias = 0.65;
-    else if (/Pyeong/i.test(did)) bias = 0.55;
-    const startFrac = Math.min(0.9, Math.max(0.05, bias + (Math.random()-0.5)*0.3));
-    const endFrac   = Math.min(1.0, Math.max(startFrac + 0.05, startFrac + 0.25 + Math.random()*0.25));
+    const prof = reportingProfileFor(r, reporting);
+    const durJitter = Number.isFinite(prof.duration_jitter) ? prof.duration_jitter : prof.jitter;
+    const rStart = _rand01(`${seed}|${did}|start`), rDur = _rand01(`${seed}|${did}|duration`);
+    const [lo, hi] = prof.bounds;
+    const startFrac = Math.min(hi, Math.max(lo, prof.start + (rStart-0.5)*prof.jitter));
+    const durFrac   = Math.max(0.05, prof.duration + (rDur-0.5)*durJitter);
+    const endFrac   = Math.min(1.0, Math.max(startFrac + 0.05, startFrac + durFrac));
     return { ...r, report_start: Math.round(startMs + startFrac*span), report_end: Math.round(startMs + endFrac*span) };
   });
 }
 
-// --- Scale live rows based on schedule (phase) and early bias ---
-function scaleRowsBySchedule(rowsWithSched, parties, now = Date.now()) {
+// --- Saved count state ---
+// The schedule, automatic calls and playback clock for the current count window, so a reload mid-count
+// resumes the same history instead of re-deriving it. Ignored once the window or seed changes.
+function countStateKey(universe, election){ return `countState:${universe?.key || ''}/${election?.slug || ''}`; }
+function loadCountState(universe, election, startMs, endMs, seed){
+  try {
+    const saved = JSON.parse(localStorage.getItem(countStateKey(universe, election)) || 'null');
+    if (saved && saved.startMs === startMs && saved.endMs === endMs && saved.seed === String(seed)) return saved;
+  } catch (_){}
+  return null;
+}
+function saveCountState(state){
+  const saved = {
+    startMs: state.startMs, endMs: state.endMs, seed: String(state.seed),
+    schedule: Object.fromEntries(state.scheduleRows.map(r => [String(r.district_id), [r.report_start, r.report_end]])),
+    calls: Object.fromEntries([...(state.calls || new Map())].filter(([, c]) => !c.manual)),
+    sim: { simMs: simNow(), wallMs: Date.now(), rate: SIM.rate, paused: SIM.paused }
+  };
+  try { localStorage.setItem(countStateKey(state.universe, state.election), JSON.stringify(saved)); } catch(_){}
+}
+function clearCountState(universe, election){
+  try { localStorage.removeItem(countStateKey(universe, election)); } catch(_){}
+}
+// Saved report times win over freshly drawn ones; districts new to the CSV keep their drawn times
+function restoreSchedule(rows, saved){
+  if (!saved?.schedule) return rows;
+  return rows.map(r => {
+    const t = saved.schedule[String(r.district_id)];
+    return (Array.isArray(t) && Number.isFinite(t[0]) && Number.isFinite(t[1])) ? { ...r, report_start: t[0], report_end: t[1] } : r;
+  });
+}
+// Where a saved clock stands now: unless paused it kept running at its rate while the page was closed
+function savedSimNow(saved){
+  const sim = saved?.sim;
+  if (!sim || !Number.isFinite(sim.simMs) || !Number.isFinite(sim.wallMs)) return null;
+  const rate = Number(sim.rate) > 0 ? Number(sim.rate) : 1;
+  return sim.paused ? sim.simMs : sim.simMs + (Date.now() - sim.wallMs) * rate;
+}
+function restoreSimClock(saved){
+  const at = savedSimNow(saved);
+  if (at == null) return;
+  SIM.rate = Number(saved.sim.rate) > 0 ? Number(saved.sim.rate) : 1;
+  SIM.paused = !!saved.sim.paused;
+  SIM.anchorSim = at;
+  SIM.anchorWall = Date.now();
+}
+
+// --- Scale live rows based on schedule (phase) and count bias ---
+function scaleRowsBySchedule(rowsWithSched, parties, now = simNow(), bias = window.STATE?.bias) {
   return rowsWithSched.map(row => {
     const rs = row.report_start, re = row.report_end;
     let phase = 0;
@@ -77,16 +349,10 @@ function scaleRowsBySchedule(rowsWithSched, parties, now = Date.now()) {
     const finals = parties.map(p => Math.max(0, Number(row[`${p}_votes`]) || 0));
     const totalFinal = finals.reduce((a,b)=>a+b,0);
     const reported = Math.max(0, Math.round(totalFinal * phase));
-    const biases = (typeof biasVectorFor === 'function')
-      ? biasVectorFor(String(row.district_id || ''), parties, 0.2)
-      : Object.fromEntries(parties.map(p=>[p,0]));
-    const weights = finals.map((v,i)=> {
-      const key = parties[i];
-      const b = biases[key] || 0;
-      const w = (typeof earlyWeight === 'function') ? earlyWeight(b, phase, 1.25) : 1;
-      return v * w;
-    });
-    const alloc = (typeof apportion === 'function') ? apportion(reported, weights) : finals.map(v=>Math.round(v*phase));
+    const bw = countBiasWeights(row, parties, phase, bias);
+    const weights = finals.map((v,i)=> v * bw[i]);
+    // A heavily leaned party can't run ahead of its own final tally; its excess goes to the others
+    const alloc = apportionCapped(reported, weights, finals);
     let total = 0;
     for (let i=0; i<parties.length; i++){ const p = parties[i]; const live = alloc[i]; out[`${p}_votes_live`] = live; total += live; }
     for (const p of parties){ const vLive = out[`${p}_votes_live`]; out._party[p] = { votes: vLive, share: total ? (vLive/total*100) : null }; }
@@ -96,21 +362,257 @@ function scaleRowsBySchedule(rowsWithSched, parties, now = Date.now()) {
 }
 
 // --- Race calling persistence ---
+// Rules for one district: election.call_rule_overrides[district_id] replaces the election-wide list
+function callRulesFor(row){
+  const over = window.STATE?.callRuleOverrides?.[String(row?.district_id)];
+  if (Array.isArray(over) && over.length) return over;
+  return window.STATE?.callRules;
+}
+
+// --- Manual calls by the host ---
+// district_id -> { type: 'call' | 'tec' | 'retract', winner?, at, wallMs }. Every type outranks the
+// automatic rules: 'tec' (too early to call) and 'retract' both hold the race uncalled. An override
+// applies from `at` (the point of the count it was made at), so scrubbing back before it undoes it.
+const MANUAL_CALL_LABELS = { call: 'Called by the desk', tec: 'Too early to call (desk)', retract: 'Call retracted by the desk' };
+function manualCallsKey(universe, election){ return `manualCalls:${universe?.key || ''}/${election?.slug || ''}`; }
+function loadManualCalls(universe, election){
+  try {
+    const saved = JSON.parse(localStorage.getItem(manualCallsKey(universe, election)) || 'null');
+    if (saved && typeof saved === 'object') return new Map(Object.entries(saved).filter(([, m]) => m && MANUAL_CALL_LABELS[m.type]));
+  } catch (_){}
+  return new Map();
+}
+function saveManualCalls(universe, election, manual){
+  try {
+    if (manual.size) localStorage.setItem(manualCallsKey(universe, election), JSON.stringify(Object.fromEntries(manual)));
+    else localStorage.removeItem(manualCallsKey(universe, election));
+  } catch(_){}
+}
+
+// override: { type, winner? } or null to hand the race back to the automatic rules
+function setManualCall(districtId, override){
+  if (!window.STATE) return;
+  const id = String(districtId);
+  if (!STATE.manualCalls) STATE.manualCalls = new Map();
+  if (override && MANUAL_CALL_LABELS[override.type]) STATE.manualCalls.set(id, { ...override, at: simNow(), wallMs: Date.now() });
+  else STATE.manualCalls.delete(id);
+  // The next tick rebuilds this race's call from the override (or the rules)
+  STATE.calls.delete(id);
+  saveManualCalls(STATE.universe, STATE.election, STATE.manualCalls);
+}
+
+function callRecord(st, r, parties, extra){
+  return {
+    winner: st.leader.key, at: simNow(),
+    phase: st.phase, lead: st.lead, leadVotes: st.leadVotes,
+    counted: st.counted, outstanding: st.outstanding,
+    votes: Object.fromEntries(parties.map(p => [p, r._party?.[p]?.votes || 0])),
+    ...extra
+  };
+}
+
+// Calls are kept with the evidence they were made on, so the Results tab can show an audit trail
 function updateCalls(rowsLive, parties){
   if (!window.STATE) return;
   if (!STATE.calls) STATE.calls = new Map();
-  const now = Date.now();
+  const now = simNow();
+  // Scrubbed backwards: forget calls, automatic or desk, that had not been made yet at this point of the count
+  for (const [id, call] of STATE.calls){ if (call.at > now) STATE.calls.delete(id); }
   for (const r of rowsLive){
     const id = String(r.district_id);
-    if (STATE.calls.has(id)){ r._call = STATE.calls.get(id); continue; }
-    const st = raceCallStatus(r, parties, STATE.callRules);
-    const t2 = topTwo(r, parties);
-    if (st.called && t2 && t2.leader && t2.leader.key){
-      const call = { winner: t2.leader.key, at: now };
-      STATE.calls.set(id, call);
-      r._call = call;
-    } else { r._call = null; }
+    const entry = STATE.manualCalls?.get(id);
+    const manual = entry && !(entry.at > now) ? entry : null;
+    r._manual = manual;
+    if (manual && manual.type !== 'call'){ STATE.calls.delete(id); r._call = null; continue; }
+    // An automatic call made before the desk stepped in gives way once the clock reaches the desk call
+    const held = STATE.calls.get(id);
+    if (held && !!held.manual === !!manual){ r._call = held; continue; }
+    const st = raceCallStatus(r, parties, callRulesFor(r));
+    let call = null;
+    if (manual) call = callRecord(st, r, parties, { winner: manual.winner, at: manual.at, rule: null, manual: true });
+    else if (st.called && st.leader && st.leader.key){
+      call = callRecord(st, r, parties, {
+        rule: st.rule,
+        override: st.rule !== FULL_COUNT_RULE && Array.isArray(STATE.callRuleOverrides?.[id])
+      });
+    }
+    if (call) STATE.calls.set(id, call);
+    r._call = call;
+  }
+}
+
+// --- CSV row <-> GeoJSON feature join ---
+// Case, spacing, punctuation and accents never decide a match
+function normalizeJoinKey(v){
+  return String(v ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+function featureLabel(f){ const p = f?.properties || {}; return String(p.name_rr || p.NAME_1 || p.name || p.district_id || '?'); }
+const JOIN_VIA_LABELS = { id: 'district_id', alias: 'manifest alias', normalized: 'normalized district_id', name: 'name' };
+
+// Match each row to one feature: exact district_id, manifest alias, normalized id, then name_rr/NAME_1/name.
+// Aliases map a CSV district_id or name to a feature district_id or name.
+// Writes the matched row id to feature.properties._joinId (null when unmatched).
+function joinRowsToFeatures(rows, gj, aliases){
+  const features = Array.isArray(gj?.features) ? gj.features : [];
+  const aliasMap = new Map(Object.entries(aliases || {}).map(([k, v]) => [normalizeJoinKey(k), normalizeJoinKey(v)]));
+  const byId = new Map(), byNorm = new Map(), byName = new Map();
+  for (const f of features){
+    const p = f.properties || (f.properties = {});
+    p._joinId = null;
+    const id = String(p.district_id ?? '');
+    if (id && !byId.has(id)) byId.set(id, f);
+    if (id && !byNorm.has(normalizeJoinKey(id))) byNorm.set(normalizeJoinKey(id), f);
+    for (const n of [p.name_rr, p.NAME_1, p.name]){
+      const k = normalizeJoinKey(n);
+      if (k && !byName.has(k)) byName.set(k, f);
+    }
+  }
+  const taken = new Set();
+  const free = (f) => (f && !taken.has(f)) ? f : null;
+  const matched = [], unmatchedRows = [];
+  for (const r of rows){
+    const rowId = String(r.district_id ?? '');
+    const idKey = normalizeJoinKey(rowId), nameKey = normalizeJoinKey(r.name_rr || r.NAME_1 || r.name);
+    const alias = aliasMap.get(idKey) || (nameKey && aliasMap.get(nameKey));
+    let f = null, via = null;
+    if ((f = free(byId.get(rowId)))) via = 'id';
+    else if (alias && (f = free(byNorm.get(alias) || byName.get(alias)))) via = 'alias';
+    else if (idKey && (f = free(byNorm.get(idKey)))) via = 'normalized';
+    else if ((nameKey && (f = free(byName.get(nameKey)))) || (idKey && (f = free(byName.get(idKey))))) via = 'name';
+    if (!f){ unmatchedRows.push(rowId || '(empty)'); continue; }
+    taken.add(f);
+    f.properties._joinId = rowId;
+    matched.push({ rowId, featureLabel: featureLabel(f), via });
+  }
+  const unmatchedFeatures = features.filter(f => !taken.has(f)).map(featureLabel);
+  return { matched, unmatchedRows, unmatchedFeatures };
+}
+
+// --- Dataset validation ---
+// Problems a data author should fix before a session. Errors give wrong results; warnings give incomplete ones.
+function validateDataset(rows, parties, join){
+  const issues = [];
+  const add = (level, message) => issues.push({ level, message });
+  const list = (xs) => xs.length > 8 ? `${xs.slice(0, 8).join(', ')} and ${xs.length - 8} more` : xs.join(', ');
+  if (!Array.isArray(rows) || !rows.length){ add('error', 'The CSV has no data rows.'); return issues; }
+  const cols = Array.isArray(rows.columns) ? rows.columns : Object.keys(rows[0] || {});
+  if (!cols.includes('district_id')) add('error', 'Missing required column "district_id".');
+  if (!parties.length) add('error', 'No party columns found (expected "<Party>_votes").');
+  for (const p of parties){
+    const col = `${p}_votes`;
+    if (!cols.includes(col)){ add('error', `Party "${p}" has a share column but no "${col}" column.`); continue; }
+    const bad = rows.filter(r => r[col] != null && !(Number.isFinite(r[col]) && r[col] >= 0));
+    if (bad.length) add('error', `"${col}" is not a non-negative number in: ${list(bad.map(r => r.district_id || '?'))}.`);
+    const blank = rows.filter(r => r[col] == null);
+    if (blank.length) add('warning', `"${col}" is empty (counted as 0) in: ${list(blank.map(r => r.district_id || '?'))}.`);
+  }
+  const seen = new Map();
+  let emptyIds = 0;
+  for (const r of rows){
+    const id = String(r.district_id ?? '').trim();
+    if (!id){ emptyIds++; continue; }
+    seen.set(id, (seen.get(id) || 0) + 1);
+  }
+  if (emptyIds) add('error', `${emptyIds} row(s) have an empty district_id.`);
+  const dups = [...seen].filter(([, n]) => n > 1).map(([id]) => id);
+  if (dups.length) add('error', `Duplicate district_id values: ${list(dups)}.`);
+  for (const rg of (rows.ragged || [])) add('warning', `Line ${rg.line} has ${rg.got} fields; the header has ${rg.expected}.`);
+  if (!cols.includes('eligible_voters_est')) add('warning', 'No "eligible_voters_est" column: national turnout cannot be weighted.');
+  if (!cols.includes('turnout') && !cols.includes('turnout_est')) add('warning', 'No "turnout" or "turnout_est" column: turnout mode will be empty.');
+  if (join){
+    for (const m of join.matched.filter(m => m.via !== 'id')) add('info', `Matched "${m.rowId}" to feature "${m.featureLabel}" by ${JOIN_VIA_LABELS[m.via] || m.via}.`);
+    if (join.unmatchedRows.length) add('error', `No GeoJSON feature for district_id: ${list(join.unmatchedRows)}.`);
+    if (join.unmatchedFeatures.length) add('warning', `GeoJSON features without a CSV row: ${list(join.unmatchedFeatures)}.`);
   }
+  return issues;
+}
+
+// --- Nested geography levels ---
+// The universe (or election) lists levels below the top one, outermost first:
+//   { key, label, geojson, csv, parent, reporting }
+// `parent` names the CSV column holding the district_id of the enclosing area (default "parent_id").
+// Election entries extend universe entries with the same key.
+function levelsFor(universe, election){
+  const byKey = new Map();
+  for (const src of [universe?.levels, election?.levels]){
+    for (const l of (Array.isArray(src) ? src : [])) if (l && l.key) byKey.set(String(l.key), { ...(byKey.get(String(l.key)) || {}), ...l });
+  }
+  return [...byKey.values()].filter(l => l.geojson && l.csv).map(l => ({
+    key: String(l.key), label: l.label || String(l.key), geojson: l.geojson, csv: l.csv,
+    parent: l.parent || 'parent_id', reporting: l.reporting || null
+  }));
+}
+
+// Children report inside their parent's window, spread over most of it
+const DEFAULT_CHILD_REPORTING = { default: { start: 0.35, duration: 0.6, jitter: 0.6, duration_jitter: 0.3 } };
+
+// One summed row per parent id, for parents the CSV has no row for. Turnout is weighted by eligible voters.
+function aggregateChildRows(childRows, parentCol, parties){
+  const groups = new Map();
+  for (const r of childRows){
+    const pid = r[parentCol];
+    if (pid == null || String(pid).trim() === '') continue;
+    if (!groups.has(String(pid))) groups.set(String(pid), []);
+    groups.get(String(pid)).push(r);
+  }
+  return [...groups].map(([pid, rows]) => {
+    const out = { district_id: pid, _fromChildren: true };
+    for (const p of parties) out[`${p}_votes`] = rows.reduce((s, r) => s + Math.max(0, Number(r[`${p}_votes`]) || 0), 0);
+    const sum = (col) => rows.some(r => Number.isFinite(Number(r[col])) && r[col] != null) ? rows.reduce((s, r) => s + (Number(r[col]) || 0), 0) : null;
+    out.population = sum('population');
+    out.eligible_voters_est = sum('eligible_voters_est');
+    const el = rows.map(r => Number(r.eligible_voters_est) || 0), to = rows.map(r => Number(r.turnout ?? r.turnout_est));
+    const w = el.reduce((s, e, i) => s + (Number.isFinite(to[i]) ? e : 0), 0);
+    out.turnout = w ? el.reduce((s, e, i) => s + (Number.isFinite(to[i]) ? e * to[i] : 0), 0) / w : null;
+    return out;
+  });
+}
+
+function assignChildSchedule(childRows, parentRows, parentCol, startMs, endMs, seed, reporting){
+  const parents = new Map(parentRows.map(r => [String(r.district_id), r]));
+  return childRows.map(r => {
+    const p = parents.get(String(r[parentCol]));
+    return assignReportingSchedule([r], p ? p.report_start : startMs, p ? p.report_end : endMs, seed, reporting || DEFAULT_CHILD_REPORTING)[0];
+  });
+}
+
+// Replace rows built from children with the live sum of those children
+function foldChildLive(rowsLive, childLive, parentCol, parties){
+  if (!childLive) return rowsLive;
+  const groups = new Map();
+  for (const c of childLive){
+    const pid = String(c[parentCol]);
+    if (!groups.has(pid)) groups.set(pid, []);
+    groups.get(pid).push(c);
+  }
+  return rowsLive.map(r => {
+    const kids = r._fromChildren ? groups.get(String(r.district_id)) : null;
+    if (!kids) return r;
+    const out = { ...r, _party: {} };
+    let total = 0, final = 0;
+    for (const p of parties){
+      const v = kids.reduce((s, c) => s + (c[`${p}_votes_live`] || 0), 0);
+      out[`${p}_votes_live`] = v;
+      total += v;
+      final += Math.max(0, Number(r[`${p}_votes`]) || 0);
+    }
+    for (const p of parties) out._party[p] = { votes: out[`${p}_votes_live`], share: total ? out[`${p}_votes_live`] / total * 100 : null };
+    out._totalVotes = total;
+    out._phase = final ? Math.min(1, total / final) : (kids.every(c => c._phase >= 1) ? 1 : 0);
+    return out;
+  });
+}
+
+function validateLevel(level, rows, parentIds){
+  const issues = [];
+  const cols = Array.isArray(rows.columns) ? rows.columns : Object.keys(rows[0] || {});
+  if (!rows.length) issues.push({ level: 'warning', message: `${level.label}: the CSV has no data rows.` });
+  else if (!cols.includes(level.parent)) issues.push({ level: 'error', message: `${level.label}: missing parent column "${level.parent}".` });
+  else {
+    const orphans = rows.filter(r => !parentIds.has(String(r[level.parent]))).map(r => r.district_id || '?');
+    if (orphans.length) issues.push({ level: 'warning', message: `${level.label}: ${orphans.length} row(s) name a parent that does not exist (${orphans.slice(0, 8).join(', ')}${orphans.length > 8 ? ', …' : ''}).` });
+  }
+  return issues;
 }
 
 // --- National aggregation ---
@@ -133,6 +635,46 @@ function computeNational(rows, parties){
   return { totals, natPct, ballots, eligible: eligibleWeighted, natTurnout, ordered };
 }
 
+// --- Baseline election (swing / flip modes) ---
+// Other elections of the same universe that can serve as a baseline, newest-listed last
+function baselineCandidates(universe, election){
+  return (universe?.elections || []).filter(e => e && e.slug !== election?.slug && (e.csv || e.rounds?.[0]?.csv));
+}
+// manifest `baseline` slug, else the election listed just before this one
+function defaultBaselineSlug(universe, election){
+  const list = baselineCandidates(universe, election);
+  if (election?.baseline && list.some(e => e.slug === election.baseline)) return election.baseline;
+  const all = universe?.elections || [];
+  const i = all.findIndex(e => e.slug === election?.slug);
+  const prev = i > 0 ? all.slice(0, i).reverse().find(e => list.includes(e)) : null;
+  return prev ? prev.slug : null;
+}
+
+// Final shares and winner per district_id of a baseline election (its first round when it has rounds)
+async function loadBaseline(universe, slug){
+  const el = (universe?.elections || []).find(e => e.slug === slug);
+  if (!el) return null;
+  const rows = parseCSV(await t(el.csv || el.rounds[0].csv));
+  const parties = rows.length ? detectParties(rows[0]) : [];
+  const byId = new Map();
+  for (const r of rows){
+    const votes = Object.fromEntries(parties.map(p => [p, Math.max(0, Number(r[`${p}_votes`]) || 0)]));
+    const total = Object.values(votes).reduce((a, b) => a + b, 0);
+    const shares = Object.fromEntries(parties.map(p => [p, total ? votes[p] / total * 100 : null]));
+    const winner = total ? parties.reduce((best, p) => votes[p] > votes[best] ? p : best, parties[0]) : null;
+    byId.set(String(r.district_id), { shares, winner });
+  }
+  return { slug, label: el.label || el.slug, parties, byId };
+}
+
+// Live share minus baseline share in points; null when either side is missing
+function swingFor(row, party, baseline){
+  const b = baseline?.byId.get(String(row?.district_id));
+  const now = row?._party?.[party]?.share;
+  if (!b || !baseline.parties.includes(party) || b.shares[party] == null || now == null) return null;
+  return now - b.shares[party];
+}
+
 // --- Display labels (data-driven) ---
 function displayPartyName(key){
   try {
@@ -150,7 +692,7 @@ function displayPartyLong(key){
   return displayPartyName(key);
 }
 
-// --- Party metadata resolution (names, long names, docs, colors) ---
+// --- Party metadata resolution (names, long names, docs, colors, left-right axis) ---
 function resolvePartyMeta(universe, election, keys){
   const meta = {};
   const uni = (universe && (universe.party_meta || universe.parties)) || {};
@@ -162,7 +704,8 @@ function resolvePartyMeta(universe, election, keys){
       name: fromE.name || fromU.name || null,
       long: fromE.long || fromU.long || null,
       doc:  fromE.doc  || fromU.doc  || null,
-      color: fromE.color || fromU.color || null
+      color: fromE.color || fromU.color || null,
+      axis: fromE.axis ?? fromU.axis ?? null
     };
   }
   return meta;
@@ -0,0 +1,126 @@
+// js/domain/projection.js
+// Live projection: each party's final national share and chance of finishing first. Counted ballots are
+// de-biased with the declared count-bias profiles, each district's outstanding vote is estimated from
+// eligible voters and turnout (falling back to its share reporting), and a seeded simulation spreads the
+// unknowns (the random per-district lean, districts with nothing counted yet, a shared national error)
+// into bands that close as the count completes.
+
+const PROJECTION = {
+  draws: 400,
+  band: [0.1, 0.9],     // quantiles shown as the band
+  unreportedSd: 0.5,    // relative error on the shares of a district with nothing counted
+  unreportedFloor: 0.02,// share any party may start from there, so small parties can still grow
+  nationalSd: 0.15,     // relative error shared by every district's outstanding vote
+  noiseSd: 0.6          // per-district error as a fraction of its noise lean, before fading
+};
+
+// Deterministic normal draws (mulberry32 + Box–Muller): the same seed every tick, so the bands move
+// with the count, not with the dice
+function projectionRng(seed){
+  let a = _hash32(String(seed)) || 1;
+  const next = () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return () => Math.sqrt(-2 * Math.log(next() || 1e-12)) * Math.cos(2 * Math.PI * next());
+}
+
+// Ballots a district should end with, without peeking at its final tally
+function projectedTurnoutBallots(row){
+  const el = Number(row?.eligible_voters_est), to = Number(row?.turnout ?? row?.turnout_est);
+  return (el > 0 && to > 0) ? Math.round(el * to / 100) : 0;
+}
+
+function normShares(v){
+  const sum = v.reduce((a, b) => a + b, 0);
+  return sum > 0 ? v.map(x => x / sum) : v.map(() => 1 / (v.length || 1));
+}
+
+// One district's counted votes, estimated final shares and what is still out. Its size is eligible x
+// turnout. Without that estimate, or once the count has passed it, the size is the count scaled up by
+// the share reporting: the simulated count reports a share of the final tally, so this fallback sizes
+// the district exactly and only the shares stay uncertain. `expected` is null when neither is known.
+function projectDistrict(row, parties, bias){
+  const counted = parties.map(p => Number(row[`${p}_votes_live`]) || 0);
+  const total = counted.reduce((a, b) => a + b, 0);
+  const phase = Math.max(0, Math.min(1, row._phase || 0));
+  const estimate = projectedTurnoutBallots(row);
+  const size = estimate > total ? estimate : (phase > 0 ? total / phase : estimate);
+  const expected = size > 0 ? Math.max(total, size) : null;
+  const leans = biasLeansFor(row, parties, bias);
+  let shares = null;
+  if (total > 0){
+    const w = countBiasWeights(row, parties, phase, bias, false);
+    shares = normShares(counted.map((c, i) => c / w[i]));
+  }
+  // How far the random lean can still move the counted shares
+  const sd = PROJECTION.noiseSd * leans.noiseAmp * Math.pow(1 - phase, leans.alpha);
+  return { counted, total, phase, expected, outstanding: 0, shares, sd };
+}
+
+// Shares of the ballots still out: the estimated final result minus what is already in
+function remainingShares(d, prior){
+  const shares = d.shares || prior;
+  if (!(d.outstanding > 0)) return shares;
+  const rest = shares.map((s, i) => Math.max(0, s * (d.total + d.outstanding) - d.counted[i]));
+  return normShares(rest);
+}
+
+function quantile(sorted, q){
+  if (!sorted.length) return 0;
+  const i = Math.max(0, Math.min(sorted.length - 1, q * (sorted.length - 1)));
+  const lo = Math.floor(i), hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+// { shares, lo, hi, win: {party: 0..1}, counted, expected, final } or null before any votes
+function projectNational(rows, parties, bias = window.STATE?.bias, seed = window.STATE?.seed){
+  const districts = rows.map(r => projectDistrict(r, parties, bias));
+  const counted = districts.reduce((s, d) => s + d.total, 0);
+  if (!(counted > 0) || !parties.length) return null;
+  // Districts of unknown size (no turnout estimate, nothing counted) count as the average known one
+  const known = districts.filter(d => d.expected != null);
+  const typical = known.length ? known.reduce((s, d) => s + d.expected, 0) / known.length : 0;
+  for (const d of districts) d.outstanding = d.phase >= 1 ? 0 : Math.max(0, (d.expected ?? typical) - d.total);
+  const countedBy = parties.map((_, i) => districts.reduce((s, d) => s + d.counted[i], 0));
+  const expected = districts.reduce((s, d) => s + d.total + d.outstanding, 0);
+  // Districts with nothing counted take the de-biased shares of those that have
+  const prior = normShares(parties.map((_, i) => districts.reduce((s, d) => s + (d.shares ? d.shares[i] * d.total : 0), 0)));
+  const rest = districts.map(d => remainingShares(d, prior));
+  const point = parties.map((_, i) => districts.reduce((s, d, k) => s + d.outstanding * rest[k][i], countedBy[i]));
+  const shares = Object.fromEntries(parties.map((p, i) => [p, point[i] / expected * 100]));
+  const final = districts.every(d => d.phase >= 1);
+  if (final){
+    const win = Object.fromEntries(parties.map(p => [p, 0]));
+    win[[...parties].sort((a, b) => shares[b] - shares[a])[0]] = 1;
+    return { shares, lo: { ...shares }, hi: { ...shares }, win, counted, expected, final };
+  }
+  const normal = projectionRng(`${seed || ''}|projection`);
+  const samples = parties.map(() => []);
+  const wins = parties.map(() => 0);
+  for (let n = 0; n < PROJECTION.draws; n++){
+    const nat = parties.map(() => PROJECTION.nationalSd * normal());
+    const votes = countedBy.slice();
+    districts.forEach((d, k) => {
+      if (!(d.outstanding > 0)) return;
+      const sd = d.shares ? d.sd : PROJECTION.unreportedSd;
+      const floor = d.shares ? 0 : PROJECTION.unreportedFloor;
+      const r = normShares(rest[k].map((s, i) => (s + floor) * Math.exp(nat[i] + sd * normal())));
+      r.forEach((s, i) => votes[i] += d.outstanding * s);
+    });
+    const sum = votes.reduce((a, b) => a + b, 0) || 1;
+    let best = 0;
+    votes.forEach((v, i) => { samples[i].push(v / sum * 100); if (v > votes[best]) best = i; });
+    wins[best]++;
+  }
+  const lo = {}, hi = {}, win = {};
+  parties.forEach((p, i) => {
+    const s = samples[i].sort((a, b) => a - b);
+    lo[p] = Math.min(shares[p], quantile(s, PROJECTION.band[0]));
+    hi[p] = Math.max(shares[p], quantile(s, PROJECTION.band[1]));
+    win[p] = wins[i] / PROJECTION.draws;
+  });
+  return { shares, lo, hi, win, counted, expected, final };
+}
@@ -0,0 +1,125 @@
+// js/domain/seats.js
+// Seat allocation: FPTP, D'Hondt, Sainte-Laguë and Hare largest remainder, per district plus optional
+// national top-up seats, computed live from the `_votes_live` counts.
+
+const SEAT_METHODS = {
+  fptp: "First past the post",
+  dhondt: "D'Hondt",
+  sainte_lague: 'Sainte-Laguë',
+  hare: 'Hare largest remainder'
+};
+
+// Highest averages: divisor(k) gives the divisor for a party already holding k seats
+function allocateHighestAverages(votes, seats, divisor){
+  const out = Object.fromEntries(Object.keys(votes).map(p => [p, 0]));
+  const keys = Object.keys(votes).filter(p => votes[p] > 0);
+  if (!keys.length) return out;
+  for (let s = 0; s < seats; s++){
+    let best = null, bestQ = -Infinity;
+    for (const p of keys){
+      const q = votes[p] / divisor(out[p]);
+      // Ties go to the larger party, then alphabetically, so results never flicker between ticks
+      if (q > bestQ || (q === bestQ && (votes[p] > votes[best] || (votes[p] === votes[best] && p < best)))){ best = p; bestQ = q; }
+    }
+    out[best]++;
+  }
+  return out;
+}
+
+function allocateLargestRemainder(votes, seats){
+  const keys = Object.keys(votes);
+  const alloc = apportion(seats, keys.map(p => Math.max(0, votes[p] || 0)));
+  return Object.fromEntries(keys.map((p, i) => [p, alloc[i]]));
+}
+
+// votes: { party: count }; returns { party: seats }
+function allocateSeats(votes, seats, method){
+  const n = Math.max(0, Math.floor(Number(seats) || 0));
+  if (method === 'fptp'){
+    const out = Object.fromEntries(Object.keys(votes).map(p => [p, 0]));
+    const top = Object.keys(votes).filter(p => votes[p] > 0).sort((a, b) => votes[b] - votes[a] || (a < b ? -1 : 1))[0];
+    if (top) out[top] = n;
+    return out;
+  }
+  if (method === 'sainte_lague') return allocateHighestAverages(votes, n, k => 2*k + 1);
+  if (method === 'hare') return allocateLargestRemainder(votes, n);
+  return allocateHighestAverages(votes, n, k => k + 1);
+}
+
+function normalizeSeatConfig(cfg){
+  if (!cfg || typeof cfg !== 'object') return null;
+  const method = SEAT_METHODS[cfg.method] ? cfg.method : 'fptp';
+  const topup = (cfg.topup && Number(cfg.topup.seats) > 0) ? {
+    seats: Math.floor(Number(cfg.topup.seats)),
+    method: (SEAT_METHODS[cfg.topup.method] && cfg.topup.method !== 'fptp') ? cfg.topup.method : 'dhondt',
+    mode: cfg.topup.mode === 'parallel' ? 'parallel' : 'compensatory'
+  } : null;
+  return {
+    column: cfg.column || 'seats',
+    districtSeats: Number(cfg.district_seats) > 0 ? Math.floor(Number(cfg.district_seats)) : 1,
+    method,
+    threshold: Number(cfg.threshold) > 0 ? Number(cfg.threshold) : 0,
+    topup
+  };
+}
+
+// Live seat projection. Seats that can no longer change are "called"; the rest are "projected"; top-up
+// seats stay projected until every district reports. Under FPTP a called district's seats go to the
+// call's winner, which a desk call may set against the live leader. Under PR a call names a winner but
+// not a seat split, so a district's seats are called only once it has finished counting.
+function computeSeats(rowsLive, parties, cfgRaw){
+  const cfg = normalizeSeatConfig(cfgRaw);
+  if (!cfg) return null;
+  const nat = computeNational(rowsLive, parties);
+  const eligible = parties.filter(p => cfg.method === 'fptp' || !cfg.threshold || (nat.natPct[p] || 0) >= cfg.threshold);
+  const byParty = Object.fromEntries(parties.map(p => [p, { seats: 0, called: 0, projected: 0 }]));
+  let districtTotal = 0, uncounted = 0;
+  for (const r of rowsLive){
+    const n = Number(r[cfg.column]);
+    const seats = Number.isFinite(n) && n >= 0 ? Math.floor(n) : cfg.districtSeats;
+    districtTotal += seats;
+    const winner = r._call && r._call.winner;
+    if (cfg.method === 'fptp' && winner && byParty[winner]){
+      byParty[winner].seats += seats;
+      byParty[winner].called += seats;
+      continue;
+    }
+    if (!((r._totalVotes || 0) > 0)){ uncounted += seats; continue; }
+    const votes = Object.fromEntries(eligible.map(p => [p, r[`${p}_votes_live`] || 0]));
+    const alloc = allocateSeats(votes, seats, cfg.method);
+    const called = (r._phase || 0) >= 1;
+    let given = 0;
+    for (const p of eligible){
+      const k = alloc[p] || 0;
+      given += k;
+      byParty[p].seats += k;
+      if (called) byParty[p].called += k; else byParty[p].projected += k;
+    }
+    uncounted += seats - given;
+  }
+  let topupTotal = 0;
+  if (cfg.topup){
+    topupTotal = cfg.topup.seats;
+    const natVotes = Object.fromEntries(eligible.map(p => [p, nat.totals[p] || 0]));
+    let extra;
+    if (cfg.topup.mode === 'parallel') extra = allocateSeats(natVotes, topupTotal, cfg.topup.method);
+    else {
+      // Compensatory: fill each party up towards its share of the whole chamber, capped at the top-up pool
+      const entitled = allocateSeats(natVotes, districtTotal + topupTotal, cfg.topup.method);
+      const deficits = Object.fromEntries(eligible.map(p => [p, Math.max(0, (entitled[p] || 0) - byParty[p].seats)]));
+      const need = Object.values(deficits).reduce((a, b) => a + b, 0);
+      if (need > topupTotal) extra = allocateLargestRemainder(deficits, topupTotal);
+      else {
+        // Deficits met: the rest of the pool goes by national votes rather than sitting unassigned
+        const rest = allocateSeats(natVotes, topupTotal - need, cfg.topup.method);
+        extra = Object.fromEntries(eligible.map(p => [p, deficits[p] + (rest[p] || 0)]));
+      }
+    }
+    for (const p of eligible){ byParty[p].seats += extra[p] || 0; byParty[p].projected += extra[p] || 0; }
+    const givenTopup = eligible.reduce((s, p) => s + (extra[p] || 0), 0);
+    uncounted += topupTotal - givenTopup;
+  }
+  const total = districtTotal + topupTotal;
+  const ordered = [...parties].sort((a, b) => byParty[b].seats - byParty[a].seats || (nat.totals[b] - nat.totals[a]));
+  return { total, majority: Math.floor(total / 2) + 1, byParty, uncounted, ordered, method: cfg.method, threshold: cfg.threshold, topup: cfg.topup, eligible };
+}
@@ -0,0 +1,127 @@
+// js/map/map_export.js
+// Export the map as a standalone SVG or PNG: every province redrawn from its geometry with the fill the
+// map is showing right now (stripe patterns included), plus the legend, a title and a timestamp.
+// Nothing is fetched, so it works offline.
+
+const MAP_EXPORT = { width: 960, pad: 16, header: 64, legendW: 220, pngScale: 2 };
+
+// Rings of a polygon/multipolygon layer, at any nesting depth
+function layerRings(latlngs, out = []){
+  if (!Array.isArray(latlngs) || !latlngs.length) return out;
+  if (Array.isArray(latlngs[0])) latlngs.forEach(x => layerRings(x, out));
+  else out.push(latlngs);
+  return out;
+}
+
+// The paint a province has on screen: fallback stripes live on the path's inline style, plugin stripes
+// and plain colours on its attributes
+function layerPaint(layer){
+  const path = layer._path;
+  const o = layer.options || {};
+  const fill = (path && path.style && path.style.fill) || (path && path.getAttribute('fill')) || o.fillColor || '#eee';
+  const fillOpacity = (path && path.style && path.style.fillOpacity) || (path && path.getAttribute('fill-opacity')) || o.fillOpacity || 1;
+  return { fill, fillOpacity, stroke: o.color || '#666', weight: o.weight ?? 0.6 };
+}
+
+// Pattern definitions the exported fills point at, copied from the live map SVG
+function patternDefs(ids){
+  const svg = __getMapSvgRoot();
+  if (!svg || !ids.size) return '';
+  const ser = new XMLSerializer();
+  return [...ids].map(id => {
+    const el = [...svg.querySelectorAll('pattern')].find(p => p.getAttribute('id') === id);
+    return el ? ser.serializeToString(el) : '';
+  }).join('');
+}
+
+function legendSvg(model, x, y){
+  if (!model) return { svg: '', h: 0 };
+  const row = 20;
+  let cy = y + 18;
+  const parts = [`<text x="${x}" y="${cy}" font-weight="bold">${escXml(model.title)}</text>`];
+  cy += 8;
+  model.items.forEach((it, i) => {
+    cy += it.gap ? row + 6 : row;
+    if (it.stripes){
+      const id = `legend_stripe_${i}`;
+      parts.push(`<defs><pattern id="${id}" patternUnits="userSpaceOnUse" width="8" height="8" patternTransform="rotate(45)"><rect width="4" height="8" fill="${it.stripes[0]}"/><rect x="4" width="4" height="8" fill="${it.stripes[1]}"/></pattern></defs>`);
+      parts.push(`<rect x="${x}" y="${cy - 12}" width="14" height="14" fill="url(#${id})" stroke="#555" stroke-width="0.5"/>`);
+    } else if (it.colors){
+      it.colors.forEach((c, k) => parts.push(`<rect x="${x + k * 16}" y="${cy - 12}" width="14" height="14" fill="${c}" stroke="#555" stroke-width="0.5"/>`));
+    } else if (it.color){
+      parts.push(`<rect x="${x}" y="${cy - 12}" width="14" height="14" fill="${it.color}" stroke="#555" stroke-width="0.5"/>`);
+    }
+    const tx = it.colors ? it.colors.length * 16 + 4 : (it.color || it.stripes ? 20 : 0);
+    parts.push(`<text x="${x + tx}" y="${cy}"${it.muted ? ' fill="#555"' : ''}>${escXml(it.label)}</text>`);
+  });
+  if (model.note){ cy += row; parts.push(`<text x="${x}" y="${cy}" fill="#555">${escXml(model.note)}</text>`); }
+  return { svg: parts.join(''), h: cy - y + 10 };
+}
+
+function mapExportSvg(){
+  if (!MAP || !LAYER || !window.STATE) return null;
+  const bounds = LAYER.getBounds();
+  const zoom = MAP.getZoom();
+  const nw = MAP.project(bounds.getNorthWest(), zoom), se = MAP.project(bounds.getSouthEast(), zoom);
+  const mapW = MAP_EXPORT.width - MAP_EXPORT.legendW - MAP_EXPORT.pad * 3;
+  const k = mapW / Math.max(1, se.x - nw.x);
+  const mapH = Math.round((se.y - nw.y) * k);
+  const ox = MAP_EXPORT.pad, oy = MAP_EXPORT.header;
+  const patterns = new Set();
+  const paths = [];
+  LAYER.eachLayer(layer => {
+    if (!layer.getLatLngs) return;
+    const d = layerRings(layer.getLatLngs()).map(ring => ring.map((ll, i) => {
+      const p = MAP.project(ll, zoom);
+      return `${i ? 'L' : 'M'}${(ox + (p.x - nw.x) * k).toFixed(1)},${(oy + (p.y - nw.y) * k).toFixed(1)}`;
+    }).join('') + 'Z').join('');
+    if (!d) return;
+    const paint = layerPaint(layer);
+    const m = /^url\(["']?#([^"')]+)["']?\)$/.exec(paint.fill);
+    if (m) patterns.add(m[1]);
+    const name = featureLabel(layer.feature);
+    paths.push(`<path d="${d}" fill="${m ? `url(#${m[1]})` : paint.fill}" fill-opacity="${paint.fillOpacity}" stroke="${paint.stroke}" stroke-width="${paint.weight}" fill-rule="evenodd"><title>${escXml(name)}</title></path>`);
+  });
+  const legend = legendSvg(LEGEND && LEGEND._model, ox + mapW + MAP_EXPORT.pad, oy);
+  const h = oy + Math.max(mapH, legend.h) + MAP_EXPORT.pad;
+  const title = [STATE.universe?.label, STATE.election?.label, ...(STATE.view?.path || []).map(p => p.name)].filter(Boolean).join(' — ') || 'Election map';
+  const progress = computeProgress(STATE.startMs, STATE.endMs);
+  const stamp = `Count time ${new Date(simNow()).toLocaleString()} · ${fmtPct(progress)} reporting · exported ${new Date().toLocaleString()}`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${MAP_EXPORT.width}" height="${h}" viewBox="0 0 ${MAP_EXPORT.width} ${h}" font-family="Tahoma, Verdana, sans-serif" font-size="13">`+
+    `<defs>${patternDefs(patterns)}</defs>`+
+    `<rect width="100%" height="100%" fill="#fff"/>`+
+    `<text x="${ox}" y="28" font-size="20" font-weight="bold">${escXml(title)}</text>`+
+    `<text x="${ox}" y="48" fill="#555">${escXml(stamp)}</text>`+
+    `<g>${paths.join('')}</g>${legend.svg}</svg>`;
+}
+
+function mapExportFileName(ext){
+  const base = (typeof exportFileBase === 'function') ? exportFileBase() : 'map';
+  return `${base}-map.${ext}`;
+}
+
+function exportMapSvg(){
+  const svg = mapExportSvg();
+  if (svg) downloadText(mapExportFileName('svg'), '<?xml version="1.0" encoding="UTF-8"?>\n' + svg, 'image/svg+xml');
+}
+
+// Rasterize through an <img> and a canvas; the SVG is self-contained so the canvas is never tainted
+function exportMapPng(){
+  const svg = mapExportSvg();
+  if (!svg) return;
+  const m = /width="(\d+)" height="(\d+)"/.exec(svg);
+  const w = Number(m[1]), h = Number(m[2]), scale = MAP_EXPORT.pngScale;
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = w * scale; canvas.height = h * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0, w, h);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => { if (blob) downloadBlob(mapExportFileName('png'), blob); }, 'image/png');
+  };
+  img.onerror = () => URL.revokeObjectURL(url);
+  img.src = url;
+}
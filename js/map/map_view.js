@@ -67,7 +67,7 @@ function __applyStripeFallback() {
     const hasReported = (row._totalVotes||0) > 0;
     if (!hasReported || (row._call && row._call.winner)) { if (layer._path) layer._path.style.fill = ''; return; }
     const t2 = topTwo(row, parties);
-    const st = raceCallStatus(row, parties, STATE.callRules);
+    const st = raceCallStatus(row, parties, callRulesFor(row));
     if (!(t2 && t2.leader && t2.runnerUp) || st.called) { if (layer._path) layer._path.style.fill = ''; return; }
     if (st.label === 'tossup' && layer._path) {
       const c1 = partyColor(t2.leader.key);
@@ -104,12 +104,12 @@ function makeTip(feature) {
 
 function makeTipEnhanced(feature){
   const p = feature.properties;
-  const name = p.name_rr || p.NAME_1 || p.name || p.district_id;
+  const name = p.name_rr || p.NAME_1 || p.name || p._row?.name_rr || p.district_id;
   const mode = document.getElementById('mode').value;
   const row  = p._row || {};
   const parties = STATE?.parties || [];
   const hasReported = (row._totalVotes||0) > 0;
-  const status = hasReported ? raceCallStatus(row, parties, STATE.callRules) : { called:false, lead:0, phase:0, label:'unreported', leader:{}, runnerUp:{} };
+  const status = hasReported ? raceCallStatus(row, parties, callRulesFor(row)) : { called:false, lead:0, phase:0, label:'unreported', leader:{}, runnerUp:{} };
   const reportPct = Math.max(0, Math.min(100, Math.round((status.phase || 0) * 100)));
   const leaderName = status.leader?.key ? displayPartyName(status.leader.key) : '';
   const runnerName = status.runnerUp?.key ? displayPartyName(status.runnerUp.key) : '';
@@ -117,7 +117,8 @@ function makeTipEnhanced(feature){
 
   let headLine = '';
   if (!hasReported){ headLine = 'No votes reported'; }
-  else if (row._call && row._call.winner){ headLine = `Called for <b>${displayPartyName(row._call.winner)}</b>${leadStr ? ' (+'+leadStr+')' : ''}`; }
+  else if (row._call && row._call.winner){ headLine = `Called for <b>${displayPartyName(row._call.winner)}</b>${leadStr && status.leader?.key === row._call.winner ? ' (+'+leadStr+')' : ''}`; }
+  else if (row._manual){ headLine = `${row._manual.type === 'tec' ? 'Too early to call' : 'Call retracted'}${leaderName ? `: <b>${leaderName}</b> leads (+${leadStr})` : ''}`; }
   else if (status.called){ headLine = `Called for <b>${leaderName}</b> (+${leadStr})`; }
   else if (status.lead < 2 && leaderName && runnerName){ headLine = `Too close: <b>${leaderName}</b> leads ${runnerName} (+${leadStr})`; }
   else if (leaderName){ headLine = `Leader: <b>${leaderName}</b> (+${leadStr})`; }
@@ -127,28 +128,61 @@ function makeTipEnhanced(feature){
     return `\n      <div style="margin:2px 0;">\n        <div class="field-row" style="justify-content:space-between; gap:8px;">\n          <div><span class="swatch" style="background:${partyColor(key)}"></span>${displayPartyName(key)}</div>\n          <div>${share == null ? '-' : share.toFixed(1) + '%'}</div>\n        </div>\n        <div style="height:6px;background:#eee;border:1px solid #aaa;width:140px;margin-top:2px;">\n          <div style="height:100%;width:${Math.max(0, Math.min(100, (share||0))).toFixed(1)}%;background:${partyColor(key)}"></div>\n        </div>\n      </div>`;
   }).join('');
 
-  if (mode === 'winner'){ return `${name}<br>Reporting: ${reportPct}%<br>${headLine}<br>${items}`; }
+  // Host overrides are flagged on every mode so a manual decision is never mistaken for the rules
+  const manualLine = row._manual ? `<br><span style="color:#a00;">&#9873; ${MANUAL_CALL_LABELS[row._manual.type]}</span>` : '';
+
+  if (mode === 'winner'){ return `${name}<br>Reporting: ${reportPct}%${manualLine}<br>${headLine}<br>${items}`; }
   if (mode === 'turnout'){
     const turnoutValue = Number(row.turnout ?? row.turnout_est);
     const head = `Turnout: ${Number.isFinite(turnoutValue) ? turnoutValue.toFixed(1) + '%' : '-'}`;
-    return `${name}<br>Reporting: ${reportPct}%<br>${head}<br>${items}`;
+    return `${name}<br>Reporting: ${reportPct}%${manualLine}<br>${head}<br>${items}`;
   }
   if (mode.startsWith('share:')){
     const partyKey = mode.slice(6);
     const s = row._party?.[partyKey]?.share;
     const head = `${displayPartyName(partyKey)} share: ${s == null ? '-' : s.toFixed(1) + '%'}`;
-    return `${name}<br>Reporting: ${reportPct}%<br>${head}<br>${items}`;
+    return `${name}<br>Reporting: ${reportPct}%${manualLine}<br>${head}<br>${items}`;
+  }
+  if (mode === 'margin'){
+    const head = hasReported && leaderName ? `Margin: <b>${leaderName}</b> +${leadStr}${runnerName ? ` over ${runnerName}` : ''}` : 'No votes reported';
+    return `${name}<br>Reporting: ${reportPct}%${manualLine}<br>${head}<br>${items}`;
+  }
+  if (mode === 'flip' || mode.startsWith('swing:')){
+    // Both results side by side: live share, baseline share and the swing between them
+    const base = STATE.baseline?.byId.get(String(row.district_id));
+    const bl = STATE.baseline?.label || 'baseline';
+    let head = `No ${bl} result for this province`;
+    if (base && mode === 'flip'){
+      const fs = flipStatus(row, parties);
+      head = !fs ? `${bl}: <b>${displayPartyName(base.winner)}</b>; not reporting yet`
+        : fs.flipped ? `<b>${displayPartyName(fs.winner)}</b> ${fs.called ? 'gains' : 'leads to gain'} from ${displayPartyName(fs.was)}`
+        : `<b>${displayPartyName(fs.winner)}</b> ${fs.called ? 'holds' : 'leads to hold'}`;
+    } else if (base){
+      const v = swingFor(row, mode.slice(6), STATE.baseline);
+      head = `${displayPartyName(mode.slice(6))} swing: ${v == null ? '-' : (v >= 0 ? '+' : '') + v.toFixed(1) + ' pts'}`;
+    }
+    const rowsHtml = base ? parties.map(key => {
+      const now = row._party?.[key]?.share, was = base.shares[key];
+      const sw = swingFor(row, key, STATE.baseline);
+      return `<tr><td><span class="swatch" style="background:${partyColor(key)}"></span>${displayPartyName(key)}</td>`+
+        `<td style="text-align:right;">${now == null ? '-' : now.toFixed(1) + '%'}</td>`+
+        `<td style="text-align:right;">${was == null ? '-' : was.toFixed(1) + '%'}</td>`+
+        `<td style="text-align:right;">${sw == null ? '-' : (sw >= 0 ? '+' : '') + sw.toFixed(1)}</td></tr>`;
+    }).join('') : '';
+    const table = rowsHtml ? `<table style="border-collapse:collapse;"><tr class="muted"><td></td><td>Now</td><td>${bl}</td><td>Swing</td></tr>${rowsHtml}</table>` : '';
+    return `${name}<br>Reporting: ${reportPct}%${manualLine}<br>${head}<br>${table}`;
   }
-  return `${name}<br>Reporting: ${reportPct}%<br>${items}`;
+  return `${name}<br>Reporting: ${reportPct}%${manualLine}<br>${items}`;
 }
 
 function injectPartyOptions(parties) {
   const sel = document.getElementById('mode');
   if (!sel) return;
-  const existing = sel.querySelector('optgroup');
+  const existing = sel.querySelector('optgroup[data-group="share"]');
   if (existing) existing.remove();
   if (!parties.length) return;
   const group = document.createElement('optgroup');
+  group.dataset.group = 'share';
   group.label = 'Party share (%)';
   for (const p of parties) {
     const option = document.createElement('option');
@@ -159,6 +193,76 @@ function injectPartyOptions(parties) {
   sel.appendChild(group);
 }
 
+// Flip and per-party swing modes, offered only while a baseline election is loaded
+function injectBaselineOptions(parties, baseline){
+  const sel = document.getElementById('mode');
+  if (!sel) return;
+  sel.querySelectorAll('[data-group="baseline"]').forEach(el => el.remove());
+  if (!baseline){
+    if (sel.value === 'flip' || sel.value.startsWith('swing:') || !sel.value) sel.value = 'winner';
+    return;
+  }
+  const flip = document.createElement('option');
+  flip.value = 'flip';
+  flip.dataset.group = 'baseline';
+  flip.textContent = `Flips vs. ${baseline.label}`;
+  sel.appendChild(flip);
+  const group = document.createElement('optgroup');
+  group.dataset.group = 'baseline';
+  group.label = `Swing vs. ${baseline.label} (pts)`;
+  for (const p of parties.filter(p => baseline.parties.includes(p))) {
+    const option = document.createElement('option');
+    option.value = `swing:${p}`;
+    option.textContent = `${displayPartyName(p)} swing`;
+    group.appendChild(option);
+  }
+  sel.appendChild(group);
+}
+
+function renderBaselineOptions(universe, election, slug){
+  const row = document.getElementById('baselineRow');
+  const sel = document.getElementById('baselineSelect');
+  if (!row || !sel) return;
+  const list = baselineCandidates(universe, election);
+  row.style.display = list.length ? '' : 'none';
+  sel.innerHTML = '<option value="">None</option>' + list.map(e => `<option value="${escXml(e.slug)}">${escXml(e.label || e.slug)}</option>`).join('');
+  sel.value = slug || '';
+}
+
+// Live winner for flip mode: the call if there is one, else the current leader
+function flipStatus(row, parties){
+  const base = STATE.baseline?.byId.get(String(row.district_id));
+  if (!base || !base.winner || !((row._totalVotes||0) > 0)) return null;
+  const called = !!(row._call && row._call.winner);
+  const winner = called ? row._call.winner : topTwo(row, parties).leader.key;
+  return { winner, was: base.winner, flipped: !!winner && winner !== base.winner, called };
+}
+
+// The legend is kept as a model ({ title, items: [{ color | colors | stripes, label, muted, gap }], note })
+// so the map export can redraw it; the legend window shows the same model as HTML.
+function setLegend(model){
+  LEGEND._model = model;
+  const swatch = (it) => it.stripes ? `<span class="swatch" style="background: repeating-linear-gradient(45deg, ${it.stripes[0]} 0 6px, ${it.stripes[1]} 6px 12px);"></span>`
+    : it.colors ? it.colors.map(c => `<span class="swatch" style="background:${c}"></span>`).join('')
+    : it.color ? `<span class="swatch" style="background:${it.color}"></span>` : '';
+  const items = model.items.map(it => `<div${it.gap ? ' style="margin-top:6px;"' : ''}>${swatch(it)}${it.muted ? `<span class="muted">${it.label}</span>` : it.label}</div>`).join('');
+  const note = model.note ? `<div class="muted" style="margin-top:2px;">${model.note}</div>` : '';
+  LEGEND._div.innerHTML = `<strong>${model.title}</strong><br>${items}${note}`;
+}
+
+// Margin bin edges in points: election `margin_bins`, then universe, then the default
+const DEFAULT_MARGIN_BINS = [5, 10, 20, 30];
+function marginBins(){
+  const raw = STATE?.election?.margin_bins || STATE?.universe?.margin_bins;
+  const bins = Array.isArray(raw) ? raw.map(Number).filter(v => Number.isFinite(v) && v > 0).sort((a, b) => a - b) : [];
+  return bins.length ? [...new Set(bins)] : DEFAULT_MARGIN_BINS;
+}
+function marginIdx(margin, bins){
+  if (margin == null || !Number.isFinite(margin)) return -1;
+  const k = bins.findIndex(b => margin < b);
+  return k < 0 ? bins.length : k;
+}
+
 function updateMapStyling(mode) {
   if (!LAYER || !STATE) return;
   const parties = STATE.parties;
@@ -171,11 +275,11 @@ function updateMapStyling(mode) {
       if (!(t2 && t2.leader && t2.leader.key)) {
         return { color:'#666', weight:0.6, fillColor:'#bbb', fillOpacity:0.9, fillPattern:null };
       }
-      const status = raceCallStatus(row, parties, STATE.callRules);
+      const status = raceCallStatus(row, parties, callRulesFor(row));
       if (row._call && row._call.winner) {
         return { color:'#666', weight:0.6, fillColor: partyColor(row._call.winner), fillOpacity:0.9, fillPattern:null };
       }
-      if (status.called) {
+      if (status.called && !row._manual) {
         return { color:'#666', weight:0.6, fillColor: partyColor(t2.leader.key), fillOpacity:0.9, fillPattern:null };
       }
       if (status.label === 'tossup' && t2.runnerUp && t2.runnerUp.key) {
@@ -188,19 +292,56 @@ function updateMapStyling(mode) {
       return { color:'#666', weight:0.6, fillColor: partySoftColor(t2.leader.key), fillOpacity:0.9, fillPattern:null };
     });
     const N = Math.min(parties.length, 10);
-    const items = parties.slice(0, N)
-      .map(p => `<div><span class="swatch" style="background:${partyColor(p)}"></span>${displayPartyName(p)}</div>`)
-      .join('');
-    let toss = '';
-    if (parties.length >= 2){
-      const c1 = partyColor(parties[0]);
-      const c2 = partyColor(parties[1]);
-      toss = `<div style="margin-top:6px;">\n        <span class="swatch" style="background: repeating-linear-gradient(45deg, ${c1} 0 6px, ${c2} 6px 12px);"></span>\n        <span class="muted">Stripes = too close to call</span>\n      </div>`;
-    } else {
-      toss = `<div class="muted" style="margin-top:6px;">Stripes = too close to call</div>`;
+    const items = parties.slice(0, N).map(p => ({ color: partyColor(p), label: displayPartyName(p) }));
+    items.push(parties.length >= 2
+      ? { stripes: [partyColor(parties[0]), partyColor(parties[1])], label: 'Stripes = too close to call', muted: true, gap: true }
+      : { label: 'Stripes = too close to call', muted: true, gap: true });
+    setLegend({ title: 'Winner', items, note: 'Bold = called; Light = leaning' });
+  } else if (mode === 'margin') {
+    const bins = marginBins();
+    const steps = bins.length + 1;
+    const leading = new Set();
+    LAYER.setStyle(f => {
+      const row = f.properties._row || {};
+      if (!((row._totalVotes||0) > 0)) return { color:'#666', weight:0.6, fillColor:'#bbb', fillOpacity:0.9, fillPattern:null };
+      const t2 = topTwo(row, parties);
+      const margin = Number.isFinite(t2.runnerUp.share) ? t2.leader.share - t2.runnerUp.share : (Number.isFinite(t2.leader.share) ? 100 : null);
+      const idx = marginIdx(margin, bins);
+      if (t2.leader.key) leading.add(t2.leader.key);
+      return { color:'#666', weight:0.6, fillColor: t2.leader.key ? percentColorByParty(t2.leader.key, idx, steps) : '#bbb', fillOpacity:0.9, fillPattern:null };
+    });
+    // A ramp for every party leading somewhere; before anyone reports, the first few stand in
+    const shown = leading.size ? parties.filter(p => leading.has(p)) : parties.slice(0, 4);
+    const items = [];
+    for (let i = 0; i < steps; i++){
+      const label = i === 0 ? `under ${bins[0]}` : i === bins.length ? `${bins[i - 1]}+` : `${bins[i - 1]}-${bins[i]}`;
+      items.push({ colors: shown.map(p => percentColorByParty(p, i, steps)), label });
     }
-    const note = `<div class="muted" style="margin-top:2px;">Bold = called; Light = leaning</div>`;
-    LEGEND._div.innerHTML = `<strong>Winner</strong><br>${items}${toss}${note}`;
+    setLegend({ title: 'Margin (pts)', items, note: 'Leader\'s colour; darker = safer' });
+  } else if (mode === 'flip') {
+    LAYER.setStyle(f => {
+      const fs = flipStatus(f.properties._row || {}, parties);
+      let fill = '#bbb';
+      if (fs) fill = !fs.flipped ? '#e8e8e8' : fs.called ? partyColor(fs.winner) : partySoftColor(fs.winner);
+      return { color:'#666', weight:0.6, fillColor: fill, fillOpacity:0.9, fillPattern:null };
+    });
+    const items = parties.slice(0, 10).map(p => ({ color: partyColor(p), label: `Gain for ${displayPartyName(p)}` }));
+    items.push({ color: '#e8e8e8', label: 'Held', gap: true }, { color: '#bbb', label: 'Not reporting / no baseline' });
+    setLegend({ title: `Flips vs. ${STATE.baseline?.label || 'baseline'}`, items, note: 'Bold = called; Light = leading' });
+  } else if (mode.startsWith('swing:')) {
+    const partyKey = mode.slice(6);
+    LAYER.setStyle(f => {
+      const v = swingFor(f.properties._row, partyKey, STATE.baseline);
+      return { color:'#666', weight:0.6, fillColor: swingColor(partyKey, swingIdx(v)), fillOpacity:0.9, fillPattern:null };
+    });
+    const edges = [...SWING_BINS].reverse();
+    const items = [
+      ...edges.map((b, i) => ({ color: swingColor(partyKey, -(edges.length - i + 1)), label: i ? `-${b} to -${edges[i - 1]}` : `below -${b}` })),
+      { color: swingColor(partyKey, -1), label: `0 to -${SWING_BINS[0]}` },
+      { color: swingColor(partyKey, 1), label: `0 to +${SWING_BINS[0]}` },
+      ...SWING_BINS.map((b, i) => ({ color: swingColor(partyKey, i + 2), label: i < SWING_BINS.length - 1 ? `+${b} to +${SWING_BINS[i + 1]}` : `above +${b}` }))
+    ];
+    setLegend({ title: `${displayPartyName(partyKey)} swing (pts)`, items, note: `vs. ${STATE.baseline?.label || 'baseline'}` });
   } else {
     LAYER.setStyle(f => {
       let s = null;
@@ -214,17 +355,17 @@ function updateMapStyling(mode) {
       }
       const idx = percentIdx(s, 6);
       const sw = (mode === 'turnout') ? percentColor(idx) : percentColorByParty((mode.startsWith('share:') ? mode.slice(6) : ''), idx, 6);
-      return { color:'#666', weight:0.6, fillColor: sw, fillOpacity: 0.9 };
+      return { color:'#666', weight:0.6, fillColor: sw, fillOpacity: 0.9, fillPattern:null };
     });
     const bins = [0, 16.7, 33.3, 50.0, 66.7, 83.3, 100.0];
-    const labels = [];
+    const items = [];
     for (let i=0;i<bins.length-1;i++){
       const lo=bins[i], hi=bins[i+1];
       const sw = (mode === 'turnout') ? percentColor(i) : percentColorByParty((mode.startsWith('share:') ? mode.slice(6) : ''), i, 6);
-      labels.push(`<div><span class="swatch" style="background:${sw}"></span>${lo.toFixed(0)}-${hi.toFixed(0)}%</div>`);
+      items.push({ color: sw, label: `${lo.toFixed(0)}-${hi.toFixed(0)}%` });
     }
     const title = (mode === 'turnout') ? 'Turnout (%)' : `${displayPartyName(mode.slice(6))} share (%)`;
-    LEGEND._div.innerHTML = `<strong>${title}</strong><br>${labels.join('')}`;
+    setLegend({ title, items });
   }
 }
 
@@ -271,9 +412,19 @@ function initMapAndControls(geojson, parties){
       '    <label for="mode" class="muted">Mode:</label>\n'+
       '    <select id="mode">\n'+
       '      <option value="winner">Winner (by share)</option>\n'+
+      '      <option value="margin">Margin (pts)</option>\n'+
       '      <option value="turnout">Turnout (%)</option>\n'+
       '    </select>\n'+
       '  </div>\n'+
+      '  <div class="field-row" id="baselineRow" style="margin-top:6px; align-items:center; gap:6px; display:none;">\n'+
+      '    <label for="baselineSelect" class="muted">Compare:</label>\n'+
+      '    <select id="baselineSelect"></select>\n'+
+      '  </div>\n'+
+      '  <div class="field-row" style="margin-top:6px; align-items:center; gap:6px;">\n'+
+      '    <span class="muted">Export:</span>\n'+
+      '    <button id="mapExportSvg" style="min-width:0;">SVG</button>\n'+
+      '    <button id="mapExportPng" style="min-width:0;">PNG</button>\n'+
+      '  </div>\n'+
       '</div>';
     L.DomEvent.disableClickPropagation(el);
     setTimeout(() => {
@@ -283,20 +434,60 @@ function initMapAndControls(geojson, parties){
       const bounds = featureBounds;
       if (zi) zi.addEventListener('click', () => MAP.zoomIn());
       if (zo) zo.addEventListener('click', () => MAP.zoomOut());
-      if (hm) hm.addEventListener('click', () => MAP.fitBounds(bounds, { padding:[10,10] }));
+      if (hm) hm.addEventListener('click', () => MAP.fitBounds(STATE.view?.level ? LAYER.getBounds() : bounds, { padding:[10,10] }));
+      const xs = el.querySelector('#mapExportSvg');
+      const xp = el.querySelector('#mapExportPng');
+      if (xs) xs.addEventListener('click', exportMapSvg);
+      if (xp) xp.addEventListener('click', exportMapPng);
     }, 0);
     setTimeout(() => {
       const modeSelect = el.querySelector('#mode');
       if (modeSelect) {
         modeSelect.addEventListener('change', () => updateMapStyling(modeSelect.value));
         injectPartyOptions(parties);
+        injectBaselineOptions(parties, STATE.baseline);
+      }
+      const baseSel = el.querySelector('#baselineSelect');
+      if (baseSel) {
+        renderBaselineOptions(STATE.universe, STATE.baseElection || STATE.election, STATE.baseline?.slug || STATE.baselineSlug);
+        baseSel.addEventListener('change', () => setBaseline(baseSel.value || null));
       }
     }, 0);
     return el;
   };
   XPZoom.addTo(MAP);
 
-  LAYER = L.geoJSON(geojson, {
+  LAYER = buildFeatureLayer(geojson).addTo(MAP);
+
+  // Breadcrumb for nested geography: only when the election has levels below the top one
+  if (STATE.levels && STATE.levels.length){
+    const crumbs = L.control({ position: 'topright' });
+    crumbs.onAdd = () => {
+      const el = L.DomUtil.create('div', 'window geo-crumbs');
+      el.innerHTML = '<div class="title-bar"><div class="title-bar-text">Geography</div></div><div class="window-body" id="geoCrumbs"></div>';
+      L.DomEvent.disableClickPropagation(el);
+      el.addEventListener('click', e => {
+        const a = e.target && e.target.closest && e.target.closest('[data-depth]');
+        if (a) drillTo(Number(a.dataset.depth));
+      });
+      return el;
+    };
+    crumbs.addTo(MAP);
+    renderBreadcrumb();
+  }
+
+  MAP.fitBounds(featureBounds, { padding: [10, 10] });
+  MAP.setMinZoom(MAP.getZoom());
+
+  // Initial legend/style
+  updateMapStyling('winner');
+
+  // Expose globals for other modules
+  try { window.MAP = MAP; window.LAYER = LAYER; window.LEGEND = LEGEND; window.HOVER = HOVER; } catch(_){}
+}
+
+function buildFeatureLayer(geojson){
+  return L.geoJSON(geojson, {
     style: () => ({ color:'#666', weight:0.6, fillColor:'#eee', fillOpacity:0.9, fill:true }),
     onEachFeature: (feature, layer) => {
       layer.on('mousemove', e => {
@@ -305,16 +496,89 @@ function initMapAndControls(geojson, parties){
         layer.bindTooltip(makeTipEnhanced(feature), { sticky:true }).openTooltip(e.latlng);
       });
       layer.on('mouseout', () => { HOVER=null; try { window.HOVER = HOVER; } catch(_){} layer.closeTooltip(); });
+      // Click: pin this area's detail window, and drill into the areas inside it when there is a level below
+      layer.on('click', () => {
+        layer.closeTooltip();
+        openDistrictDetail(STATE.view?.level || 0, feature.properties._joinId);
+        drillInto(feature);
+      });
+      // Right-click: the host's call menu (calls are made for top-level areas only)
+      layer.on('contextmenu', e => {
+        if (e.originalEvent) L.DomEvent.preventDefault(e.originalEvent);
+        if (STATE.view?.level) return;
+        layer.closeTooltip();
+        openCallMenu(feature, e.originalEvent?.clientX ?? 0, e.originalEvent?.clientY ?? 0);
+      });
     }
-  }).addTo(MAP);
+  });
+}
 
-  MAP.fitBounds(featureBounds, { padding: [10, 10] });
-  MAP.setMinZoom(MAP.getZoom());
+// --- Drill-down ---
+// STATE.view = { level, path: [{ id, name, gj }] }: level 0 is the top GeoJSON; level k shows the
+// children (from STATE.levels[k - 1]) of the last area in path.
+function viewGeoJSON(){
+  const v = STATE.view;
+  return v && v.level ? v.path[v.level - 1].gj : STATE.gj;
+}
 
-  // Initial legend/style
-  updateMapStyling('winner');
+function showFeatureLayer(geojson){
+  if (LAYER) MAP.removeLayer(LAYER);
+  HOVER = null;
+  LAYER = buildFeatureLayer(geojson).addTo(MAP);
+  MAP.fitBounds(LAYER.getBounds(), { padding: [10, 10] });
+  try { window.LAYER = LAYER; window.HOVER = HOVER; } catch(_){}
+}
 
-  // Expose globals for other modules
+async function drillInto(feature){
+  const v = STATE.view;
+  const next = STATE.levels?.[v.level];
+  const id = feature?.properties?._joinId;
+  if (!next || id == null) return;
+  const childIds = new Set(next.rowsFinal.filter(r => String(r[next.parent]) === id).map(r => String(r.district_id)));
+  if (!childIds.size) return;
+  const state = STATE;
+  if (!next.gj){
+    try { next.gj = await j(next.geojson); } catch(_) { return; }
+    joinRowsToFeatures(next.rowsFinal, next.gj, next.aliases);
+  }
+  if (state !== STATE) return;
+  const gj = { type: 'FeatureCollection', features: next.gj.features.filter(f => childIds.has(f.properties._joinId)) };
+  if (!gj.features.length) return;
+  const name = feature.properties._row ? districtName(feature.properties._row) : featureLabel(feature);
+  STATE.view = { level: v.level + 1, path: [...v.path, { id, name, gj }] };
+  showFeatureLayer(gj);
+  renderBreadcrumb();
+  if (typeof tick === 'function') tick();
+}
+
+// Back up to `depth` (0 = top level)
+function drillTo(depth){
+  const v = STATE.view;
+  if (!(depth >= 0 && depth < v.level)) return;
+  STATE.view = { level: depth, path: v.path.slice(0, depth) };
+  showFeatureLayer(viewGeoJSON());
+  renderBreadcrumb();
+  if (typeof tick === 'function') tick();
+}
+
+function renderBreadcrumb(){
+  const host = document.getElementById('geoCrumbs');
+  if (!host) return;
+  const v = STATE.view;
+  const top = STATE.universe?.top_label || 'Nationwide';
+  const parts = [top, ...v.path.map(p => p.name)].map((label, depth) => depth < v.level
+    ? `<a href="#" data-depth="${depth}" onclick="return false;">${escXml(label)}</a>`
+    : `<b>${escXml(label)}</b>`);
+  const next = STATE.levels[v.level];
+  host.innerHTML = parts.join(' › ') + (next ? `<div class="muted">Click an area for ${escXml(next.label.toLowerCase())}</div>` : '');
+}
+
+// Remove the Leaflet map and every cache tied to it so initMapAndControls can run again
+function teardownMap(){
+  if (MAP) { try { MAP.remove(); } catch(_){} }
+  MAP = LAYER = LEGEND = HOVER = null;
+  PATTERNS.clear();
+  __stripeCache.clear();
   try { window.MAP = MAP; window.LAYER = LAYER; window.LEGEND = LEGEND; window.HOVER = HOVER; } catch(_){}
 }
 
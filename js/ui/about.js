@@ -0,0 +1,73 @@
+// js/ui/about.js
+// About tab: universe/election metadata from the manifest, candidate list, and election-level docs.
+
+const WINDOW_SOURCE_LABELS = { host: 'set by host', manifest: 'from manifest', auto: 'automatic' };
+
+function renderAboutMeta(state){
+  const host = document.getElementById('aboutMeta');
+  if (!host) return;
+  const u = state.universe || {}, e = state.election || {};
+  const mins = Math.round((state.endMs - state.startMs) / 60000);
+  const win = (Number.isFinite(state.startMs) && Number.isFinite(state.endMs))
+    ? `${new Date(state.startMs).toLocaleString()} → ${fmtTime(state.endMs)} (${mins} min${WINDOW_SOURCE_LABELS[state.windowSource] ? ', ' + WINDOW_SOURCE_LABELS[state.windowSource] : ''})`
+    : '—';
+  const rules = (Array.isArray(state.callRules) && state.callRules.length) ? state.callRules : DEFAULT_CALL_RULES;
+  const ruleSrc = (Array.isArray(state.callRules) && state.callRules.length) ? 'election' : 'default';
+  const overrides = Object.entries(state.callRuleOverrides || {});
+  host.innerHTML = '<div class="about-grid">'+
+    (state.manifest?.title ? `<span class="muted">Project:</span><span>${escXml(state.manifest.title)}</span>` : '')+
+    `<span class="muted">Universe:</span><span>${escXml(u.label || u.key || '—')}</span>`+
+    `<span class="muted">Election:</span><span>${escXml(e.label || e.slug || '—')}</span>`+
+    `<span class="muted">Count window:</span><span>${win}</span>`+
+    `<span class="muted">Provinces:</span><span>${state.totalDistricts ?? '—'}</span>`+
+    `<span class="muted">Call rules (${ruleSrc}):</span>`+
+    `<span>${rules.map(r => `Called on: ${describeCallRule(r)}`).join('<br>')}<br>Any lead is called at 100% reporting.</span>`+
+    (overrides.length ? `<span class="muted">Province overrides:</span><span>${overrides.map(([id, rr]) => `${id}: ${(Array.isArray(rr) ? rr : []).map(describeCallRule).join('; ')}`).join('<br>')}</span>` : '')+
+    '</div>';
+}
+
+function renderAboutCandidates(state){
+  const host = document.getElementById('aboutCandidates');
+  if (!host || !Array.isArray(state?.parties)) return;
+  host.innerHTML = state.parties.map(p => '<div class="about-party">'+
+    `<span class="swatch" style="background:${partyColor(p)}"></span>`+
+    `<b>${escXml(displayPartyName(p))}</b>`+
+    `<span class="muted">${escXml(displayPartyLong(p))}</span>`+
+    `<button class="party-link" data-party="${escXml(p)}" style="background:transparent;border:0;color:#06c;cursor:pointer;padding:0;text-decoration:underline;min-width:0;">Profile</button>`+
+    '</div>').join('');
+  host.querySelectorAll('.party-link').forEach(btn => {
+    btn.addEventListener('click', () => {
+      // The doc viewer lives on the desk, so bring the map tab forward first
+      if (window.selectTab) window.selectTab('map');
+      openCandidateDoc(btn.dataset.party);
+    });
+  });
+}
+
+async function renderAboutDocs(state){
+  const host = document.getElementById('aboutDocs');
+  if (!host) return;
+  const docs = state.election?.docs || state.universe?.docs || {};
+  const urls = ['overview', 'rules'].map(k => docs[k]).filter(Boolean);
+  if (!urls.length){ host.innerHTML = '<span class="muted">No overview or rules documents for this election.</span>'; return; }
+  host.innerHTML = '<span class="muted">Loading.</span>';
+  const cards = await Promise.all(urls.map(async u => {
+    try {
+      const r = await fetch(u);
+      if (r.ok === false) throw new Error(String(r.status));
+      const txt = await r.text();
+      if (!window.renderDocCard) throw new Error('no renderer');
+      return window.renderDocCard(txt, u);
+    } catch(_) { return `<div class="muted">Failed to load ${escXml(u)}</div>`; }
+  }));
+  // Another election was picked while the documents were in flight; its own render owns the panel now
+  if (state !== window.STATE) return;
+  host.innerHTML = cards.join('');
+}
+
+function renderAbout(state){
+  if (!state) return;
+  renderAboutMeta(state);
+  renderAboutCandidates(state);
+  renderAboutDocs(state);
+}
@@ -0,0 +1,139 @@
+// js/ui/detail.js
+// Pinned district detail window: opens when an area is clicked on the map and follows the count on every
+// tick. Shows the full breakdown, the call and the rule behind it, and a chart of the leader's margin
+// drawn from the per-tick history of the district's live row. Gaps (a reload mid-count, a scrub forward)
+// are filled by replaying the schedule at the missing times, as the share chart does.
+
+const DETAIL_HISTORY_MAX = 600;
+const DETAIL_FILL_STEPS = 100; // replayed samples across a whole count window
+// `${level}:${district_id}` -> [{ at, phase, leader, margin }]
+const DISTRICT_HISTORY = new Map();
+let DISTRICT_HISTORY_AT = null; // count time of the last sampled tick
+let DETAIL = null; // { level, id }
+
+function historyKey(level, id){ return `${level}:${id}`; }
+
+// One sample per district per tick; scrubbing back drops the samples that now lie in the future.
+// `levelRowsAt(t)` gives the live rows of every level ([top, ...nested]) at count time t.
+function sampleDistrictHistory(now, levelRows, levelRowsAt){
+  const span = STATE.endMs - STATE.startMs;
+  if (levelRowsAt && span > 0){
+    const step = span / DETAIL_FILL_STEPS;
+    const from = DISTRICT_HISTORY_AT == null ? STATE.startMs : Math.min(DISTRICT_HISTORY_AT, now);
+    const end = Math.min(now, STATE.endMs);
+    for (let t = from + step; t < end - step / 2; t += step) recordDistrictSamples(t, levelRowsAt(t));
+  }
+  recordDistrictSamples(now, levelRows);
+  DISTRICT_HISTORY_AT = now;
+}
+
+function recordDistrictSamples(now, levelRows){
+  levelRows.forEach((rows, level) => {
+    for (const r of rows || []){
+      const key = historyKey(level, String(r.district_id));
+      let h = DISTRICT_HISTORY.get(key);
+      if (!h){ h = []; DISTRICT_HISTORY.set(key, h); }
+      while (h.length && h[h.length - 1].at > now) h.pop();
+      if (!((r._totalVotes || 0) > 0)) continue;
+      const t2 = topTwo(r, STATE.parties);
+      const margin = Number.isFinite(t2.runnerUp.share) ? t2.leader.share - t2.runnerUp.share : t2.leader.share;
+      if (h.length && h[h.length - 1].at === now) h.pop();
+      h.push({ at: now, phase: r._phase, leader: t2.leader.key, margin });
+      if (h.length > DETAIL_HISTORY_MAX) h.splice(0, h.length - DETAIL_HISTORY_MAX);
+    }
+  });
+}
+
+function resetDistrictHistory(){
+  DISTRICT_HISTORY.clear();
+  DISTRICT_HISTORY_AT = null;
+}
+
+// Margin over count time, one segment per pair of samples in the colour of the later sample's leader
+function marginChartSvg(history, startMs, endMs){
+  const W = 280, H = 90, pad = 4;
+  if (!history || history.length < 2) return '<div class="muted">The margin chart fills in as votes are counted.</div>';
+  const maxM = Math.max(5, ...history.map(s => s.margin || 0));
+  const span = Math.max(1, endMs - startMs);
+  const x = (at) => pad + (W - 2*pad) * Math.max(0, Math.min(1, (at - startMs) / span));
+  const y = (m) => H - pad - (H - 2*pad) * Math.max(0, m || 0) / maxM;
+  const segs = [];
+  for (let i = 1; i < history.length; i++){
+    const a = history[i - 1], b = history[i];
+    segs.push(`<line x1="${x(a.at).toFixed(1)}" y1="${y(a.margin).toFixed(1)}" x2="${x(b.at).toFixed(1)}" y2="${y(b.margin).toFixed(1)}" stroke="${partyColor(b.leader)}" stroke-width="2"/>`);
+    if (a.leader !== b.leader) segs.push(`<circle cx="${x(b.at).toFixed(1)}" cy="${y(b.margin).toFixed(1)}" r="3" fill="#fff" stroke="${partyColor(b.leader)}"><title>Lead change: ${displayPartyName(b.leader)}</title></circle>`);
+  }
+  return `<svg viewBox="0 0 ${W} ${H}" width="100%" role="img" aria-label="Leader's margin over the count">`+
+    `<rect x="0" y="0" width="${W}" height="${H}" fill="#fff" stroke="#aaa"/>`+
+    `<text x="${W - pad}" y="12" text-anchor="end" font-size="9" fill="#555">+${maxM.toFixed(0)} pts</text>`+
+    `${segs.join('')}</svg>`+
+    `<div class="field-row" style="justify-content:space-between;"><span class="muted">${fmtTime(startMs)}</span><span class="muted">${fmtTime(endMs)}</span></div>`;
+}
+
+function detailCallLine(row, level){
+  if (!((row._totalVotes || 0) > 0)) return 'Not reporting yet';
+  const call = row._call && row._call.winner ? row._call : null;
+  if (call){
+    const how = call.manual ? 'by the desk' : `rule: ${callRuleLabel(call) || '—'}${call.override ? ' (province override)' : ''}`;
+    return `Called for <b>${displayPartyName(call.winner)}</b> at ${fmtTime(call.at)} <span class="muted">(${how})</span>`;
+  }
+  if (row._manual) return MANUAL_CALL_LABELS[row._manual.type];
+  const st = raceCallStatus(row, STATE.parties, callRulesFor(row));
+  const who = st.leader.key ? displayPartyName(st.leader.key) : '—';
+  // Nested levels are not tracked as calls; say what the rules would do
+  if (st.called) return level ? `<b>${who}</b> meets the call rules <span class="muted">(${describeCallRule(st.rule)})</span>` : `Calling for <b>${who}</b>`;
+  return st.label === 'lean' ? `Leaning <b>${who}</b> (+${st.lead.toFixed(1)} pts)` : `Too close to call (+${st.lead.toFixed(1)} pts)`;
+}
+
+function renderDistrictDetail(){
+  const win = document.getElementById('districtDetail');
+  const body = document.getElementById('districtDetailBody');
+  if (!win || !body) return;
+  if (!DETAIL || !window.STATE){ win.style.display = 'none'; return; }
+  const rows = DETAIL.level ? (STATE.levelLive?.[DETAIL.level - 1] || []) : (STATE.rowsLive || []);
+  const row = rows.find(r => String(r.district_id) === DETAIL.id);
+  if (!row){ win.style.display = 'none'; return; }
+  const parties = STATE.parties;
+  const title = document.getElementById('districtDetailTitle');
+  if (title) title.textContent = districtName(row);
+  const order = [...parties].sort((a, b) => (row._party?.[b]?.votes || 0) - (row._party?.[a]?.votes || 0));
+  const partyRows = order.map(p => {
+    const v = row._party?.[p]?.votes, s = row._party?.[p]?.share;
+    return '<tr>'+
+      `<td><span class="swatch" style="background:${partyColor(p)}"></span>${displayPartyName(p)}</td>`+
+      `<td class="num">${v == null ? '-' : Number(v).toLocaleString()}</td>`+
+      `<td class="num">${s == null ? '-' : fmtPct(s)}</td>`+
+      `<td style="width:80px;"><div style="height:8px;background:#eee;border:1px solid #aaa;"><div style="height:100%;width:${Math.max(0, Math.min(100, s || 0)).toFixed(1)}%;background:${partyColor(p)}"></div></div></td>`+
+      '</tr>';
+  }).join('');
+  const eligible = Number(row.eligible_voters_est);
+  const turnout = Number(row.turnout ?? row.turnout_est);
+  const expected = expectedBallots(row, parties);
+  body.innerHTML =
+    `<div class="about-grid">`+
+      `<span class="muted">Reporting:</span><span>${fmtPct((row._phase || 0) * 100)}</span>`+
+      `<span class="muted">Counted:</span><span>${(row._totalVotes || 0).toLocaleString()} of ~${expected.toLocaleString()}</span>`+
+      `<span class="muted">Eligible voters:</span><span>${Number.isFinite(eligible) && eligible > 0 ? eligible.toLocaleString() : '—'}</span>`+
+      `<span class="muted">Turnout:</span><span>${Number.isFinite(turnout) ? fmtPct(turnout) : '—'}</span>`+
+      `<span class="muted">Status:</span><span>${detailCallLine(row, DETAIL.level)}</span>`+
+    `</div>`+
+    `<table class="detail-parties">${partyRows}</table>`+
+    `<div class="muted" style="margin-top:6px;">Leader's margin over the count</div>`+
+    marginChartSvg(DISTRICT_HISTORY.get(historyKey(DETAIL.level, DETAIL.id)), STATE.startMs, STATE.endMs);
+  win.style.display = '';
+}
+
+function openDistrictDetail(level, id){
+  if (id == null) return;
+  DETAIL = { level, id: String(id) };
+  renderDistrictDetail();
+}
+function closeDistrictDetail(){
+  DETAIL = null;
+  renderDistrictDetail();
+}
+
+(function setupDistrictDetail(){
+  const close = document.getElementById('districtDetailClose');
+  if (close) close.addEventListener('click', closeDistrictDetail);
+})();
@@ -0,0 +1,105 @@
+// js/ui/export.js
+// Export the live count as it stands: CSV (same columns as the source CSV, live votes in the `_votes`
+// columns, so it loads straight back in as a scenario), a JSON snapshot, or the GeoJSON with results
+// merged into each feature's properties.
+
+function exportFileBase(){
+  const u = window.STATE?.universe?.key || 'results';
+  const e = window.STATE?.election?.slug || 'election';
+  return `${u}-${e}`.replace(/[^A-Za-z0-9_-]+/g, '_');
+}
+
+// One flat record per district: shared by all three formats
+function exportDistrict(row, parties){
+  const total = row._totalVotes || 0;
+  const t2 = topTwo(row, parties);
+  const call = row._call && row._call.winner ? row._call : null;
+  return {
+    district_id: String(row.district_id),
+    name: districtName(row),
+    votes: Object.fromEntries(parties.map(p => [p, row._party?.[p]?.votes ?? 0])),
+    shares: Object.fromEntries(parties.map(p => [p, row._party?.[p]?.share ?? null])),
+    total_votes: total,
+    reporting: Math.round(Math.max(0, Math.min(1, row._phase || 0)) * 1000) / 10,
+    leader: total > 0 ? (t2.leader.key || null) : null,
+    call: call ? { winner: call.winner, at: new Date(call.at).toISOString(), rule: callRuleLabel(call) || null, manual: !!call.manual } : null,
+    desk: row._manual ? row._manual.type : null
+  };
+}
+
+function exportSnapshot(){
+  const state = window.STATE;
+  const rows = state.rowsLive || [];
+  const parties = state.parties;
+  const nat = computeNational(rows, parties);
+  return {
+    universe: state.universe?.key || null,
+    election: state.election?.slug || null,
+    label: state.election?.label || null,
+    exported_at: new Date().toISOString(),
+    count_time: new Date(simNow()).toISOString(),
+    progress: Math.round(computeProgress(state.startMs, state.endMs) * 10) / 10,
+    parties: parties.map(p => ({ key: p, name: displayPartyName(p), long: displayPartyLong(p) })),
+    national: {
+      votes: nat.totals,
+      shares: nat.natPct,
+      ballots: nat.ballots,
+      turnout: nat.natTurnout,
+      order: nat.ordered,
+      seats: state.seats ? Object.fromEntries(state.seats.ordered.map(p => [p, state.seats.byParty[p]])) : null
+    },
+    districts: rows.map(r => exportDistrict(r, parties))
+  };
+}
+
+// Source columns first (in source order) with live votes swapped in, then the live extras
+function exportCSV(){
+  const state = window.STATE;
+  const parties = state.parties;
+  const source = Array.isArray(state.rowsFinal.columns) ? state.rowsFinal.columns : Object.keys(state.rowsFinal[0] || {});
+  const extras = [...parties.map(p => `${p}_share`), 'total_votes', 'reporting', 'leader', 'called_for', 'called_at', 'call_rule'];
+  const columns = [...source, ...extras.filter(c => !source.includes(c))];
+  const out = (state.rowsLive || []).map(r => {
+    const d = exportDistrict(r, parties);
+    const rec = Object.fromEntries(source.map(c => [c, r[c]]));
+    for (const p of parties){
+      rec[`${p}_votes`] = d.votes[p];
+      rec[`${p}_share`] = d.shares[p] == null ? null : d.shares[p].toFixed(2);
+    }
+    return { ...rec, total_votes: d.total_votes, reporting: d.reporting, leader: d.leader, called_for: d.call?.winner, called_at: d.call?.at, call_rule: d.call?.rule };
+  });
+  return toCSV(out, columns);
+}
+
+function exportGeoJSON(){
+  const state = window.STATE;
+  const parties = state.parties;
+  const byId = new Map((state.rowsLive || []).map(r => [String(r.district_id), r]));
+  const features = state.gj.features.map(f => {
+    // Drop the app's own bookkeeping (_row, _joinId) from the exported properties
+    const props = Object.fromEntries(Object.entries(f.properties || {}).filter(([k]) => !k.startsWith('_')));
+    const row = f.properties?._joinId != null ? byId.get(f.properties._joinId) : null;
+    if (row){
+      const d = exportDistrict(row, parties);
+      Object.assign(props, { district_id: d.district_id, total_votes: d.total_votes, reporting: d.reporting, leader: d.leader,
+        called_for: d.call?.winner ?? null, called_at: d.call?.at ?? null });
+      for (const p of parties){ props[`${p}_votes`] = d.votes[p]; props[`${p}_share`] = d.shares[p]; }
+    }
+    return { type: 'Feature', properties: props, geometry: f.geometry };
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+function exportResults(format){
+  if (!window.STATE || !STATE.rowsLive) return;
+  const base = `${exportFileBase()}-results`;
+  if (format === 'csv') downloadText(`${base}.csv`, exportCSV(), 'text/csv');
+  else if (format === 'json') downloadText(`${base}.json`, JSON.stringify(exportSnapshot(), null, 2), 'application/json');
+  else if (format === 'geojson') downloadText(`${base}.geojson`, JSON.stringify(exportGeoJSON()), 'application/geo+json');
+}
+
+(function setupExport(){
+  document.querySelectorAll('[data-export]').forEach(btn => {
+    btn.addEventListener('click', () => exportResults(btn.dataset.export));
+  });
+})();
@@ -0,0 +1,86 @@
+// js/ui/hemicycle.js
+// Parliament (hemicycle) seat chart: parties laid out left-to-right by party_meta axis; called seats solid,
+// projected seats soft, unallocated seats grey. Redrawn each tick and exportable as a standalone SVG.
+
+const HEMI_INNER = 0.4;
+
+// Seat centres for n seats on concentric half rings, ordered left (angle π) to right (angle 0)
+function hemicycleLayout(n){
+  if (!(n > 0)) return { seats: [], dot: 0 };
+  const rows = Math.max(1, Math.round(Math.sqrt(n * 2 * (1 - HEMI_INNER) / (Math.PI * (1 + HEMI_INNER))) + 0.5));
+  const radii = Array.from({ length: rows }, (_, i) => rows === 1 ? 1 : HEMI_INNER + (1 - HEMI_INNER) * i / (rows - 1));
+  const perRow = apportion(n, radii);
+  const seats = [];
+  let minGap = Infinity;
+  radii.forEach((r, i) => {
+    const k = perRow[i];
+    if (!k) return;
+    if (k > 1) minGap = Math.min(minGap, Math.PI * r / (k - 1));
+    for (let j = 0; j < k; j++){
+      const a = k === 1 ? Math.PI / 2 : Math.PI * (1 - j / (k - 1));
+      seats.push({ a, x: r * Math.cos(a), y: -r * Math.sin(a) });
+    }
+  });
+  if (rows > 1) minGap = Math.min(minGap, (1 - HEMI_INNER) / (rows - 1));
+  if (!Number.isFinite(minGap)) minGap = 0.2;
+  // Sweep by angle so each party gets one wedge; break ties inner-to-outer
+  seats.sort((s1, s2) => (s2.a - s1.a) || (Math.hypot(s1.x, s1.y) - Math.hypot(s2.x, s2.y)));
+  return { seats, dot: Math.min(0.08, minGap * 0.42) };
+}
+
+// Parties with an axis value first (left to right), then the rest by seats
+function hemicycleOrder(seats){
+  const axisOf = (p) => { const v = Number(window.STATE?.partyMeta?.[p]?.axis); return Number.isFinite(v) ? v : null; };
+  return [...seats.ordered].sort((a, b) => {
+    const xa = axisOf(a), xb = axisOf(b);
+    if (xa != null && xb != null) return xa - xb;
+    if (xa != null) return -1;
+    if (xb != null) return 1;
+    return seats.byParty[b].seats - seats.byParty[a].seats;
+  });
+}
+
+function hemicycleSvg(seats, opts = {}){
+  const { seats: spots, dot } = hemicycleLayout(seats.total);
+  const fills = [];
+  for (const p of hemicycleOrder(seats)){
+    const st = seats.byParty[p];
+    if (!st) continue;
+    for (let i = 0; i < st.called; i++) fills.push({ fill: partyColor(p), party: p, called: true });
+    for (let i = 0; i < st.seats - st.called; i++) fills.push({ fill: partySoftColor(p), party: p, called: false });
+  }
+  while (fills.length < spots.length) fills.push({ fill: '#ddd', party: null, called: false });
+  const circles = spots.map((s, i) => {
+    const f = fills[i];
+    const tip = f.party ? `${displayPartyName(f.party)} (${f.called ? 'called' : 'projected'})` : 'Not yet allocated';
+    return `<circle cx="${s.x.toFixed(4)}" cy="${s.y.toFixed(4)}" r="${dot.toFixed(4)}" fill="${f.fill}" stroke="#555" stroke-width="${(dot * 0.12).toFixed(4)}"><title>${escXml(tip)}</title></circle>`;
+  }).join('');
+  const title = opts.title ? `<text x="0" y="-1.12" text-anchor="middle" font-size="0.08" font-family="sans-serif">${escXml(opts.title)}</text>` : '';
+  const top = opts.title ? -1.2 : -1.08;
+  const label = `<text x="0" y="-0.08" text-anchor="middle" font-size="0.16" font-weight="bold" font-family="sans-serif">${seats.total}</text>`+
+    `<text x="0" y="0.06" text-anchor="middle" font-size="0.07" font-family="sans-serif">${seats.majority} for majority</text>`;
+  const h = 0.15 - top;
+  const size = opts.width ? `width="${opts.width}" height="${Math.round(opts.width * h / 2.2)}"` : 'width="100%"';
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="-1.1 ${top} 2.2 ${h.toFixed(2)}" ${size} role="img" aria-label="Seat chart">${title}${circles}${label}</svg>`;
+}
+
+function renderHemicycle(seats){
+  const section = document.getElementById('seatChartSection');
+  const host = document.getElementById('seatChart');
+  if (!section || !host) return;
+  section.style.display = seats ? '' : 'none';
+  if (!seats) { host.innerHTML = ''; return; }
+  host.innerHTML = hemicycleSvg(seats);
+}
+
+(function setupHemicycleExport(){
+  const btn = document.getElementById('seatChartExport');
+  if (!btn) return;
+  btn.addEventListener('click', () => {
+    const seats = window.STATE?.seats;
+    if (!seats) return;
+    const title = STATE.election?.label || 'Seats';
+    const svg = hemicycleSvg(seats, { title, width: 800 });
+    downloadText(`seats-${String(STATE.election?.slug || 'election').replace(/[^A-Za-z0-9_-]+/g, '_')}.svg`, '<?xml version="1.0" encoding="UTF-8"?>\n' + svg, 'image/svg+xml');
+  });
+})();
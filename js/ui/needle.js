@@ -0,0 +1,55 @@
+// js/ui/needle.js
+// Projection on the desk: a needle for the two front-runners' chances of finishing first, then each
+// party's projected final share with its band and win chance. Redrawn each tick from STATE.projection.
+
+function needleSvg(proj, a, b){
+  const W = 200, H = 112, cx = W / 2, cy = 100, r = 84;
+  const pa = proj.win[a] || 0, pb = proj.win[b] || 0;
+  const v = (pa + pb) > 0 ? pa / (pa + pb) : 0.5;
+  const pt = (t, rr) => [cx - rr * Math.cos(Math.PI * t), cy - rr * Math.sin(Math.PI * t)];
+  // Six bands from "b certain" (left) to "a certain" (right)
+  const stops = [0, 0.05, 0.25, 0.5, 0.75, 0.95, 1];
+  const fills = [partyColor(b), partySoftColor(b), '#f4f4f4', '#f4f4f4', partySoftColor(a), partyColor(a)];
+  const arcs = fills.map((fill, i) => {
+    const [x1, y1] = pt(stops[i], r), [x2, y2] = pt(stops[i + 1], r);
+    const [x3, y3] = pt(stops[i + 1], r * 0.62), [x4, y4] = pt(stops[i], r * 0.62);
+    return `<path d="M${x1.toFixed(1)},${y1.toFixed(1)}A${r},${r} 0 0 1 ${x2.toFixed(1)},${y2.toFixed(1)}L${x3.toFixed(1)},${y3.toFixed(1)}A${r * 0.62},${r * 0.62} 0 0 0 ${x4.toFixed(1)},${y4.toFixed(1)}Z" fill="${fill}" stroke="#888" stroke-width="0.5"/>`;
+  }).join('');
+  const [nx, ny] = pt(v, r * 0.95);
+  return `<svg viewBox="0 0 ${W} ${H}" width="100%" style="max-width:260px;display:block;margin:0 auto;" role="img" aria-label="Chance of finishing first">`+
+    `${arcs}<line x1="${cx}" y1="${cy}" x2="${nx.toFixed(1)}" y2="${ny.toFixed(1)}" stroke="#222" stroke-width="2.5" stroke-linecap="round"/>`+
+    `<circle cx="${cx}" cy="${cy}" r="5" fill="#222"/>`+
+    `<text x="4" y="${H - 1}" font-size="9" fill="#333">${displayPartyName(b)}</text>`+
+    `<text x="${W - 4}" y="${H - 1}" font-size="9" fill="#333" text-anchor="end">${displayPartyName(a)}</text></svg>`;
+}
+
+function renderProjection(proj, parties){
+  const host = document.getElementById('projection');
+  const note = document.getElementById('projectionNote');
+  if (!host) return;
+  if (!proj){
+    host.innerHTML = '<div class="muted">The projection starts with the first votes counted.</div>';
+    if (note) note.textContent = '';
+    return;
+  }
+  const order = [...parties].sort((x, y) => (proj.win[y] - proj.win[x]) || (proj.shares[y] - proj.shares[x]));
+  const top = Math.max(10, Math.ceil(Math.max(...parties.map(p => proj.hi[p] || 0)) / 10) * 10);
+  const pos = (v) => Math.max(0, Math.min(100, v / top * 100)).toFixed(1);
+  const rows = order.map(p => '<div class="race-row">'+
+    `<div class="race-name"><span class="swatch" style="background:${partyColor(p)}"></span>${displayPartyName(p)}</div>`+
+    `<div class="race-pct" title="${proj.final ? 'Final' : `80% band ${fmtPct(proj.lo[p])}–${fmtPct(proj.hi[p])}`}">${fmtPct(proj.shares[p])}</div>`+
+    `<div class="race-bar projection-bar">`+
+      `<div class="projection-band" style="left:${pos(proj.lo[p])}%;width:${Math.max(0.5, pos(proj.hi[p]) - pos(proj.lo[p])).toFixed(1)}%;background:${partySoftColor(p)};border-color:${partyColor(p)}"></div>`+
+      `<div class="projection-mark" style="left:${pos(proj.shares[p])}%;background:${partyColor(p)}"></div>`+
+    `</div>`+
+    `<div class="race-seats" title="Chance of finishing first">${proj.final ? (proj.win[p] ? '✓' : '') : `${Math.round(proj.win[p] * 100)}%`}</div>`+
+    '</div>').join('');
+  host.innerHTML = (order.length > 1 ? needleSvg(proj, order[0], order[1]) : '') + rows;
+  if (note){
+    const share = proj.expected ? proj.counted / proj.expected * 100 : 100;
+    note.textContent = proj.final
+      ? 'Final result'
+      : `From ${fmtPct(share)} of the expected vote · bars span 80% of outcomes · right: chance of finishing first`;
+    note.title = proj.final ? '' : 'Expected vote: eligible voters × turnout where the data has both, else the count so far scaled up by the share reporting';
+  }
+}
@@ -0,0 +1,175 @@
+// js/ui/results.js
+// Results tab: sortable, filterable district-by-district table rebuilt from the live rows on every tick,
+// plus a timeline of race calls with the rule and numbers each one was made on.
+
+const RESULTS_VIEW = { sortKey: 'name', sortDir: 1, filter: '', rows: [], parties: [] };
+
+function districtName(row){ return String(row?.name_rr || row?.NAME_1 || row?.name || row?.district_id || ''); }
+
+// --- Call rule text ---
+function describeCallRule(r){
+  if (!r) return '';
+  if (r.full_count) return 'Full count';
+  if (r.name) return r.name;
+  const parts = [];
+  if (r.phase != null) parts.push(`${Math.round(r.phase*100)}% reporting`);
+  if (r.lead != null) parts.push(`lead ≥ ${r.lead} pts`);
+  if (r.lead_votes != null) parts.push(`lead ≥ ${Number(r.lead_votes).toLocaleString()} votes`);
+  if (r.max_outstanding != null) parts.push(`≤ ${Number(r.max_outstanding).toLocaleString()} ballots outstanding`);
+  if (r.lead_exceeds_outstanding) parts.push('lead exceeds outstanding ballots');
+  return parts.join(', ') || 'always';
+}
+
+// Calls carry the rule object they were made on; desk calls carry none
+function callRuleLabel(call){
+  if (!call) return '';
+  return call.manual ? MANUAL_CALL_LABELS.call : describeCallRule(call.rule);
+}
+
+// Flatten one live row into the sortable values shown in the table.
+function resultsRowModel(row, parties){
+  const hasReported = (row._totalVotes||0) > 0;
+  const st = hasReported ? raceCallStatus(row, parties, callRulesFor(row)) : null;
+  const t2 = topTwo(row, parties);
+  const margin = (Number.isFinite(t2.leader.share) && Number.isFinite(t2.runnerUp.share)) ? (t2.leader.share - t2.runnerUp.share) : null;
+  const call = row._call && row._call.winner ? row._call : null;
+  let status = 'Not reporting', statusRank = 0;
+  if (call){ status = `${call.manual ? 'Desk call' : 'Called'}: ${displayPartyName(call.winner)}`; statusRank = 3; }
+  else if (row._manual){ status = MANUAL_CALL_LABELS[row._manual.type]; statusRank = 1; }
+  else if (st && st.label === 'lean'){ status = 'Leaning'; statusRank = 2; }
+  else if (st){ status = 'Too close'; statusRank = 1; }
+  const model = {
+    id: String(row.district_id),
+    name: districtName(row),
+    leader: hasReported && t2.leader.key ? t2.leader.key : null,
+    margin: hasReported ? margin : null,
+    reporting: Math.max(0, Math.min(100, (row._phase || 0) * 100)),
+    status, statusRank,
+    calledAt: call ? call.at : null
+  };
+  for (const p of parties){
+    model[`votes:${p}`] = row._party?.[p]?.votes ?? null;
+    model[`share:${p}`] = row._party?.[p]?.share ?? null;
+  }
+  return model;
+}
+
+function resultsColumns(parties){
+  const cols = [{ key: 'name', label: 'Province' }];
+  for (const p of parties){
+    cols.push({ key: `votes:${p}`, label: `${displayPartyName(p)} votes`, party: p, num: true });
+    cols.push({ key: `share:${p}`, label: `${displayPartyName(p)} %`, party: p, num: true });
+  }
+  cols.push(
+    { key: 'leader', label: 'Leader' },
+    { key: 'margin', label: 'Margin', num: true },
+    { key: 'reporting', label: 'Reporting', num: true },
+    { key: 'statusRank', label: 'Status' },
+    { key: 'calledAt', label: 'Called at', num: true }
+  );
+  return cols;
+}
+
+function compareResults(a, b, key, dir){
+  const va = key === 'leader' ? (a.leader ? displayPartyName(a.leader) : null) : a[key];
+  const vb = key === 'leader' ? (b.leader ? displayPartyName(b.leader) : null) : b[key];
+  // Missing values always sink to the bottom regardless of direction
+  if (va == null && vb == null) return a.name.localeCompare(b.name);
+  if (va == null) return 1;
+  if (vb == null) return -1;
+  const c = (typeof va === 'string' || typeof vb === 'string') ? String(va).localeCompare(String(vb)) : (va - vb);
+  return c !== 0 ? c * dir : a.name.localeCompare(b.name);
+}
+
+function resultsCell(model, col){
+  const v = model[col.key];
+  if (col.key === 'name') return escXml(model.name);
+  if (col.key === 'leader') return model.leader ? `<span class="swatch" style="background:${partyColor(model.leader)}"></span>${escXml(displayPartyName(model.leader))}` : '-';
+  if (col.key === 'margin') return v == null ? '-' : `+${v.toFixed(1)} pts`;
+  if (col.key === 'reporting') return fmtPct(v);
+  if (col.key === 'statusRank') return escXml(model.status);
+  if (col.key === 'calledAt') return v == null ? '-' : fmtTime(v);
+  if (col.key.startsWith('votes:')) return v == null ? '-' : Number(v).toLocaleString();
+  if (col.key.startsWith('share:')) return v == null ? '-' : fmtPct(v);
+  return v == null ? '-' : escXml(v);
+}
+
+function drawResultsTable(){
+  const table = document.getElementById('resultsTable');
+  if (!table) return;
+  const parties = RESULTS_VIEW.parties;
+  const cols = resultsColumns(parties);
+  const thead = table.tHead, tbody = table.tBodies[0];
+  const headKey = cols.map(c => c.key).join('|');
+  if (thead.dataset.cols !== headKey){
+    thead.innerHTML = '<tr>' + cols.map(c => `<th data-key="${escXml(c.key)}">${c.party ? `<span class="swatch" style="background:${partyColor(c.party)}"></span>` : ''}${escXml(c.label)}</th>`).join('') + '</tr>';
+    thead.dataset.cols = headKey;
+  }
+  thead.querySelectorAll('th').forEach(th => {
+    const active = th.dataset.key === RESULTS_VIEW.sortKey;
+    if (active) th.setAttribute('aria-sort', RESULTS_VIEW.sortDir > 0 ? 'ascending' : 'descending');
+    else th.removeAttribute('aria-sort');
+  });
+  const needle = RESULTS_VIEW.filter.trim().toLowerCase();
+  const models = RESULTS_VIEW.rows
+    .map(r => resultsRowModel(r, parties))
+    .filter(m => !needle || m.name.toLowerCase().includes(needle) || m.id.toLowerCase().includes(needle))
+    .sort((a, b) => compareResults(a, b, RESULTS_VIEW.sortKey, RESULTS_VIEW.sortDir));
+  tbody.innerHTML = models.map(m => '<tr>' + cols.map(c => `<td${c.num ? ' class="num"' : ''}>${resultsCell(m, c)}</td>`).join('') + '</tr>').join('');
+  const countEl = document.getElementById('resultsCount');
+  if (countEl) countEl.textContent = `${models.length} of ${RESULTS_VIEW.rows.length} provinces`;
+}
+
+// Newest call first; the votes column lists every candidate's tally at the moment of the call
+function drawCallsTimeline(){
+  const table = document.getElementById('callsTable');
+  if (!table) return;
+  const names = new Map(RESULTS_VIEW.rows.map(r => [String(r.district_id), districtName(r)]));
+  const calls = [...(window.STATE?.calls || new Map()).entries()].sort((a, b) => b[1].at - a[1].at);
+  const key = calls.map(([id, c]) => `${id}@${c.at}`).join('|');
+  if (table.dataset.key === key) return;
+  table.dataset.key = key;
+  const num = (v) => v == null ? '-' : Number(v).toLocaleString();
+  table.tBodies[0].innerHTML = calls.length ? calls.map(([id, c]) => {
+    const votes = Object.entries(c.votes || {}).sort((a, b) => b[1] - a[1]).map(([p, v]) => `${escXml(displayPartyName(p))} ${num(v)}`).join(', ');
+    return '<tr>'+
+      `<td>${fmtTime(c.at)}</td>`+
+      `<td>${escXml(names.get(id) || id)}</td>`+
+      `<td><span class="swatch" style="background:${partyColor(c.winner)}"></span>${escXml(displayPartyName(c.winner))}</td>`+
+      `<td>${escXml(callRuleLabel(c) || '-')}${c.override ? ' <span class="muted">(override)</span>' : ''}</td>`+
+      `<td class="num">${c.phase == null ? '-' : fmtPct(c.phase * 100)}</td>`+
+      `<td class="num">${c.lead == null ? '-' : `+${c.lead.toFixed(1)} pts`}</td>`+
+      `<td class="num">${c.leadVotes == null ? '-' : '+' + num(c.leadVotes)}</td>`+
+      `<td class="num">${num(c.outstanding)}</td>`+
+      `<td>${votes || '-'}</td>`+
+      '</tr>';
+  }).join('') : `<tr><td colspan="9" class="muted">No races called yet.</td></tr>`;
+  const countEl = document.getElementById('callsCount');
+  if (countEl) countEl.textContent = calls.length ? `(${calls.length})` : '';
+}
+
+function renderResults(rowsLive, parties){
+  RESULTS_VIEW.rows = rowsLive || [];
+  RESULTS_VIEW.parties = parties || [];
+  drawResultsTable();
+  drawCallsTimeline();
+}
+
+(function setupResultsPanel(){
+  const table = document.getElementById('resultsTable');
+  const filter = document.getElementById('resultsFilter');
+  if (!table) return;
+  table.tHead.addEventListener('click', e => {
+    const th = e.target && e.target.closest && e.target.closest('th');
+    if (!th || !th.dataset.key) return;
+    const key = th.dataset.key;
+    if (RESULTS_VIEW.sortKey === key) RESULTS_VIEW.sortDir = -RESULTS_VIEW.sortDir;
+    else {
+      RESULTS_VIEW.sortKey = key;
+      // Numbers read best largest-first; names and labels A-Z
+      RESULTS_VIEW.sortDir = (key === 'name' || key === 'leader') ? 1 : -1;
+    }
+    drawResultsTable();
+  });
+  if (filter) filter.addEventListener('input', () => { RESULTS_VIEW.filter = filter.value; drawResultsTable(); });
+})();
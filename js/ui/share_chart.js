@@ -0,0 +1,89 @@
+// js/ui/share_chart.js
+// National share over the count: every tick records the national shares and ballots counted, and the desk
+// draws one line per party against count progress, ballots counted shaded behind, lead changes marked.
+// Gaps (a reload mid-count, a scrub forward) are filled by replaying the schedule at the missing times.
+
+const SHARE_HISTORY_MAX = 1000;
+const SHARE_FILL_STEPS = 100; // replayed samples across a whole count window
+// [{ at, progress, pct: {party: share}, ballots, leader }]
+const SHARE_HISTORY = [];
+
+function shareSample(at, rows){
+  const nat = computeNational(rows, STATE.parties);
+  return { at, progress: computeProgress(STATE.startMs, STATE.endMs, at), pct: nat.natPct, ballots: nat.ballots, leader: nat.ordered[0] };
+}
+
+// `liveAt(t)` gives the top-level live rows at count time t (only national totals are read from them)
+function sampleShareHistory(now, rowsLive, liveAt){
+  const h = SHARE_HISTORY;
+  while (h.length && h[h.length - 1].at >= now) h.pop();
+  const span = STATE.endMs - STATE.startMs;
+  if (liveAt && span > 0){
+    const step = span / SHARE_FILL_STEPS;
+    const end = Math.min(now, STATE.endMs);
+    for (let t = h.length ? h[h.length - 1].at + step : STATE.startMs + step; t < end - step / 2; t += step){
+      const s = shareSample(t, liveAt(t));
+      if (s.ballots > 0) h.push(s);
+    }
+  }
+  const s = shareSample(now, rowsLive);
+  if (s.ballots > 0) h.push(s);
+  // Thin evenly rather than dropping the start: the early count is the point of the chart
+  if (h.length > SHARE_HISTORY_MAX){
+    const kept = h.filter((_, i) => i % 2 === 0 || i === h.length - 1);
+    h.length = 0;
+    h.push(...kept);
+  }
+}
+
+function resetShareHistory(){
+  SHARE_HISTORY.length = 0;
+}
+
+function shareChartSvg(history, parties, expected){
+  const W = 300, H = 130, L = 26, R = 6, T = 6, B = 16;
+  const top = Math.max(10, Math.ceil(Math.max(...history.flatMap(s => parties.map(p => s.pct[p] || 0))) / 10) * 10);
+  const x = (prog) => L + (W - L - R) * Math.max(0, Math.min(100, prog)) / 100;
+  const y = (v) => H - B - (H - T - B) * Math.max(0, v) / top;
+  const last = history[history.length - 1];
+  const maxBallots = Math.max(1, expected || 0, last.ballots);
+  const yb = (b) => H - B - (H - T - B) * b / maxBallots;
+  const grid = [];
+  for (let v = 0; v <= top; v += 10){
+    grid.push(`<line x1="${L}" y1="${y(v).toFixed(1)}" x2="${W - R}" y2="${y(v).toFixed(1)}" stroke="#e4e4e4"/>`);
+    grid.push(`<text x="${L - 3}" y="${(y(v) + 3).toFixed(1)}" text-anchor="end" font-size="8" fill="#555">${v}%</text>`);
+  }
+  [0, 50, 100].forEach(v => grid.push(`<text x="${x(v).toFixed(1)}" y="${H - 4}" text-anchor="${v ? (v === 100 ? 'end' : 'middle') : 'start'}" font-size="8" fill="#555">${v}%</text>`));
+  const area = `<path d="M${x(history[0].progress).toFixed(1)},${yb(0).toFixed(1)}${history.map(s => `L${x(s.progress).toFixed(1)},${yb(s.ballots).toFixed(1)}`).join('')}L${x(last.progress).toFixed(1)},${yb(0).toFixed(1)}Z" fill="#ececec"><title>Ballots counted: ${last.ballots.toLocaleString()}${expected ? ` of ~${expected.toLocaleString()}` : ''}</title></path>`;
+  const lines = [...parties].sort((a, b) => (last.pct[a] || 0) - (last.pct[b] || 0)).map(p => {
+    const pts = history.map(s => `${x(s.progress).toFixed(1)},${y(s.pct[p] || 0).toFixed(1)}`).join(' ');
+    return `<polyline points="${pts}" fill="none" stroke="${partyColor(p)}" stroke-width="1.8"><title>${displayPartyName(p)}: ${fmtPct(last.pct[p] || 0)}</title></polyline>`;
+  });
+  const marks = [];
+  for (let i = 1; i < history.length; i++){
+    const a = history[i - 1], b = history[i];
+    if (a.leader === b.leader) continue;
+    const cx = x(b.progress).toFixed(1);
+    marks.push(`<line x1="${cx}" y1="${T}" x2="${cx}" y2="${H - B}" stroke="#888" stroke-dasharray="2,2"/>`);
+    marks.push(`<circle cx="${cx}" cy="${y(b.pct[b.leader] || 0).toFixed(1)}" r="3" fill="#fff" stroke="${partyColor(b.leader)}" stroke-width="1.5"><title>${displayPartyName(b.leader)} takes the lead from ${displayPartyName(a.leader)} at ${fmtTime(b.at)} (${fmtPct(b.progress)} of the count)</title></circle>`);
+  }
+  return `<svg viewBox="0 0 ${W} ${H}" width="100%" role="img" aria-label="National share over the count">`+
+    `<rect x="${L}" y="${T}" width="${W - L - R}" height="${H - T - B}" fill="#fff" stroke="#aaa"/>`+
+    `${area}${grid.join('')}${lines.join('')}${marks.join('')}</svg>`;
+}
+
+function renderShareChart(){
+  const host = document.getElementById('shareChart');
+  const note = document.getElementById('shareChartNote');
+  if (!host || !window.STATE) return;
+  if (SHARE_HISTORY.length < 2){
+    host.innerHTML = '<div class="muted">The chart fills in as votes are counted.</div>';
+    if (note) note.textContent = '';
+    return;
+  }
+  const parties = STATE.parties;
+  const expected = (STATE.rowsFinal || []).reduce((s, r) => s + expectedBallots(r, parties), 0);
+  host.innerHTML = shareChartSvg(SHARE_HISTORY, parties, expected);
+  const changes = SHARE_HISTORY.reduce((n, s, i) => n + (i && s.leader !== SHARE_HISTORY[i - 1].leader ? 1 : 0), 0);
+  if (note) note.textContent = `Grey: ballots counted · ${changes} lead change${changes === 1 ? '' : 's'}`;
+}
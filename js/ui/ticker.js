@@ -0,0 +1,175 @@
+// js/ui/ticker.js
+// Live event ticker: announces race calls, national lead changes, a majority being reached and the end
+// of the count as toasts plus a scrollable log on the desk. Each event type can be shown or muted, and
+// can beep, per the election's `alerts` block in the manifest and the host's own settings.
+
+const ALERT_TYPES = {
+  call:        { label: 'Race calls',       tone: [660, 880] },
+  lead_change: { label: 'Lead changes',     tone: [520, 390] },
+  majority:    { label: 'Majority reached', tone: [523, 659, 784] },
+  complete:    { label: 'Count complete',   tone: [784, 659, 523] }
+};
+const ALERT_DEFAULTS = { show: true, sound: false };
+const ALERT_PREFS_KEY = 'alertPrefs';
+const TICKER_MAX_LOG = 200;
+const TOAST_MS = 6000;
+
+const TICKER = { snap: null, log: [], audio: null };
+
+// Defaults, then the manifest (election over universe), then what the host picked in this browser
+function alertSettings(){
+  let prefs = {};
+  try { prefs = JSON.parse(localStorage.getItem(ALERT_PREFS_KEY) || '{}') || {}; } catch(_){}
+  const cfg = { ...(window.STATE?.universe?.alerts || {}), ...(window.STATE?.election?.alerts || {}) };
+  return Object.fromEntries(Object.keys(ALERT_TYPES).map(k => {
+    const m = cfg[k] === false ? { show: false } : (cfg[k] && typeof cfg[k] === 'object' ? cfg[k] : {});
+    return [k, { ...ALERT_DEFAULTS, ...m, ...(prefs[k] || {}) }];
+  }));
+}
+function saveAlertPref(type, field, value){
+  let prefs = {};
+  try { prefs = JSON.parse(localStorage.getItem(ALERT_PREFS_KEY) || '{}') || {}; } catch(_){}
+  prefs[type] = { ...(prefs[type] || {}), [field]: value };
+  try { localStorage.setItem(ALERT_PREFS_KEY, JSON.stringify(prefs)); } catch(_){}
+}
+
+function playAlertTone(type){
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return;
+  try {
+    if (!TICKER.audio) TICKER.audio = new Ctx();
+    const ctx = TICKER.audio;
+    const t0 = ctx.currentTime;
+    ALERT_TYPES[type].tone.forEach((hz, i) => {
+      const osc = ctx.createOscillator(), gain = ctx.createGain();
+      osc.frequency.value = hz;
+      gain.gain.setValueAtTime(0.12, t0 + i * 0.14);
+      gain.gain.exponentialRampToValueAtTime(0.001, t0 + i * 0.14 + 0.13);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(t0 + i * 0.14);
+      osc.stop(t0 + i * 0.14 + 0.14);
+    });
+  } catch(_){}
+}
+
+// What the events are computed against: call winners, national leader, majority holder, completion
+function tickerSnapshot(rowsLive, seats, progress){
+  const calls = new Map([...(STATE.calls || new Map())].map(([id, c]) => [id, c.winner]));
+  const nat = computeNational(rowsLive, STATE.parties);
+  const leader = nat.ballots > 0 ? nat.ordered[0] : null;
+  let majority = null;
+  if (seats) majority = seats.ordered.find(p => seats.byParty[p].called >= seats.majority) || null;
+  else {
+    // No seat model: a majority of provinces called for one candidate
+    const need = Math.floor((STATE.totalDistricts || 0) / 2) + 1;
+    const won = {};
+    for (const w of calls.values()) won[w] = (won[w] || 0) + 1;
+    majority = Object.keys(won).find(p => won[p] >= need) || null;
+  }
+  const complete = progress >= 100 && rowsLive.every(r => r._phase >= 1);
+  return { at: simNow(), calls, leader, majority, complete, nat, seats };
+}
+
+function tickerEvents(prev, next, rowsLive){
+  const events = [];
+  const names = new Map(rowsLive.map(r => [String(r.district_id), districtName(r)]));
+  for (const [id, w] of next.calls){
+    if (prev.calls.get(id) === w) continue;
+    events.push({ type: 'call', party: w, text: `${names.get(id) || id} called for ${displayPartyName(w)}` });
+  }
+  if (next.leader && prev.leader && next.leader !== prev.leader){
+    const pct = next.nat.natPct[next.leader];
+    events.push({ type: 'lead_change', party: next.leader, text: `${displayPartyName(next.leader)} takes the national lead from ${displayPartyName(prev.leader)} (${fmtPct(pct)})` });
+  }
+  if (next.majority && next.majority !== prev.majority){
+    const p = next.majority;
+    const text = next.seats
+      ? `${displayPartyName(p)} passes a majority: ${next.seats.byParty[p].called} of ${next.seats.total} seats called`
+      : `${displayPartyName(p)} wins a majority of provinces`;
+    events.push({ type: 'majority', party: p, text });
+  }
+  if (next.complete && !prev.complete){
+    const lead = next.leader ? `: ${displayPartyName(next.leader)} leads with ${fmtPct(next.nat.natPct[next.leader])}` : '';
+    events.push({ type: 'complete', party: next.leader, text: `Count complete${lead}` });
+  }
+  return events;
+}
+
+function showToast(ev){
+  const stack = document.getElementById('toastStack');
+  if (!stack) return;
+  const el = document.createElement('div');
+  el.className = 'window toast';
+  el.innerHTML = `<div class="title-bar"><div class="title-bar-text">${ALERT_TYPES[ev.type].label}</div></div>`+
+    `<div class="window-body">${ev.party ? `<span class="swatch" style="background:${partyColor(ev.party)}"></span>` : ''}${ev.text}</div>`;
+  stack.prepend(el);
+  // Only the newest few stay on screen; the log keeps the rest
+  while (stack.children.length > 3) stack.lastElementChild.remove();
+  setTimeout(() => el.remove(), TOAST_MS);
+}
+
+function drawTickerLog(){
+  const list = document.getElementById('tickerLog');
+  if (!list) return;
+  list.innerHTML = TICKER.log.length
+    ? TICKER.log.map(ev => `<li class="ticker-${ev.type}"><span class="muted">${fmtTime(ev.at)}</span> ${ev.party ? `<span class="swatch" style="background:${partyColor(ev.party)}"></span>` : ''}${ev.text}</li>`).join('')
+    : '<li class="muted">No events yet.</li>';
+}
+
+// Called every tick. The first tick after a load, and any backwards scrub, only takes a snapshot so
+// that races already called are not announced again.
+function updateTicker(rowsLive, seats, progress){
+  if (!window.STATE) return;
+  const next = tickerSnapshot(rowsLive, seats, progress);
+  const prev = TICKER.snap;
+  TICKER.snap = next;
+  if (!prev || next.at < prev.at) return;
+  const events = tickerEvents(prev, next, rowsLive);
+  if (!events.length) return;
+  const settings = alertSettings();
+  let sound = null;
+  for (const ev of events){
+    ev.at = next.at;
+    TICKER.log.unshift(ev);
+    if (!settings[ev.type].show) continue;
+    showToast(ev);
+    if (settings[ev.type].sound && !sound) sound = ev.type;
+  }
+  TICKER.log.length = Math.min(TICKER.log.length, TICKER_MAX_LOG);
+  if (sound) playAlertTone(sound);
+  drawTickerLog();
+}
+
+// A new election, round or count window starts a fresh log
+function resetTicker(){
+  TICKER.snap = null;
+  TICKER.log = [];
+  const stack = document.getElementById('toastStack');
+  if (stack) stack.innerHTML = '';
+  drawTickerLog();
+}
+
+(function setupAlertSettings(){
+  const dlg = document.getElementById('alertSettings');
+  const open = document.getElementById('alertSettingsOpen');
+  const close = document.getElementById('alertSettingsClose');
+  const body = document.getElementById('alertSettingsList');
+  if (!dlg || !open || !close || !body) return;
+  function fill(){
+    const s = alertSettings();
+    body.innerHTML = Object.entries(ALERT_TYPES).map(([k, t]) => '<tr>'+
+      `<td>${t.label}</td>`+
+      `<td><input type="checkbox" id="alert_${k}_show" data-type="${k}" data-field="show"${s[k].show ? ' checked' : ''}><label for="alert_${k}_show">Show</label></td>`+
+      `<td><input type="checkbox" id="alert_${k}_sound" data-type="${k}" data-field="sound"${s[k].sound ? ' checked' : ''}><label for="alert_${k}_sound">Sound</label></td>`+
+      '</tr>').join('');
+  }
+  body.addEventListener('change', e => {
+    const cb = e.target;
+    if (!cb || !cb.dataset.type) return;
+    saveAlertPref(cb.dataset.type, cb.dataset.field, cb.checked);
+    if (cb.checked && cb.dataset.field === 'sound') playAlertTone(cb.dataset.type);
+  });
+  const show = (on) => { dlg.style.display = on ? '' : 'none'; if (on) fill(); };
+  open.addEventListener('click', () => show(dlg.style.display === 'none'));
+  close.addEventListener('click', () => show(false));
+})();
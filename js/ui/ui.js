@@ -5,6 +5,20 @@ function fmtPct(x){ return Number.isFinite(x) ? x.toFixed(1) + '%' : '?'; }
 function fmtTime(ts){ return new Date(ts).toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'}); }
 function fmtCountdown(ms){ if (!Number.isFinite(ms) || ms <= 0) return '00:00'; const s = Math.floor(ms/1000), m = Math.floor(s/60), r = s % 60; return String(m).padStart(2,'0') + ':' + String(r).padStart(2,'0'); }
 
+// Save a string as a file through a temporary object URL
+function downloadText(filename, text, type = 'text/plain'){
+  downloadBlob(filename, new Blob([text], { type: `${type};charset=utf-8` }));
+}
+function downloadBlob(filename, blob){
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function updateProgressUI(pct) {
   let bar = document.getElementById('progress');
   let fill = document.getElementById('progressFill');
@@ -22,7 +36,7 @@ function updateProgressUI(pct) {
   fill.style.width = `${pct.toFixed(1)}%`;
 }
 
-function renderDesk(progress, rowsLive, parties){
+function renderDesk(progress, rowsLive, parties, seats){
   const pEl = document.getElementById('deskProgress');
   const pTx = document.getElementById('deskProgressText');
   if (pEl) pEl.value = progress;
@@ -31,8 +45,9 @@ function renderDesk(progress, rowsLive, parties){
     const sEl = document.getElementById('deskStart');
     const eEl = document.getElementById('deskETA');
     if (sEl) sEl.textContent = fmtTime(window.STATE.startMs);
-    if (eEl) eEl.textContent = fmtCountdown(Math.max(0, window.STATE.endMs - Date.now()));
+    if (eEl) eEl.textContent = fmtCountdown(Math.max(0, window.STATE.endMs - simNow()));
   }
+  updateSimControls();
   const agg = computeNational(rowsLive, parties);
   (function applyThemeFromLeader(){
     try {
@@ -74,12 +89,22 @@ function renderDesk(progress, rowsLive, parties){
       row.appendChild(name);
       row.appendChild(pctEl);
       row.appendChild(bar);
+      if (seats){
+        const st = seats.byParty[p] || { seats: 0, called: 0 };
+        const seatEl = document.createElement('div');
+        seatEl.className = 'race-seats';
+        seatEl.textContent = String(st.seats);
+        seatEl.title = `${st.called} called, ${st.seats - st.called} projected${seats.eligible.includes(p) ? '' : ' (below threshold)'}`;
+        if (st.seats >= seats.majority) seatEl.style.fontWeight = 'bold';
+        row.appendChild(seatEl);
+      }
       frag.appendChild(row);
     }
+    if (seats) frag.appendChild(renderSeatBar(seats));
     list.innerHTML = '';
     list.appendChild(frag);
   }
-  if (totLine) totLine.textContent = `Total votes: ${agg.ballots.toLocaleString()}`;
+  if (totLine) totLine.textContent = `Total votes: ${agg.ballots.toLocaleString()}` + (seats ? ` · Seats: ${seats.total} (${SEAT_METHODS[seats.method]}${seats.threshold ? `, ${seats.threshold}% threshold` : ''})` : '');
   if (turnEl)  turnEl.textContent = fmtPct(agg.natTurnout);
   const repEl = document.getElementById('provincesReporting');
   if (repEl && window.STATE){
@@ -89,6 +114,269 @@ function renderDesk(progress, rowsLive, parties){
   }
 }
 
+// Header election picker: one optgroup per universe, one option per election
+let PICKER_ENTRIES = [];
+function setupElectionPicker(manifest, onPick){
+  const sel = document.getElementById('electionPicker');
+  if (!sel) return;
+  PICKER_ENTRIES = [];
+  sel.innerHTML = '';
+  const universes = Array.isArray(manifest?.universes) ? manifest.universes : [];
+  for (const u of universes){
+    const group = document.createElement('optgroup');
+    group.label = u.label || u.key;
+    for (const e of (Array.isArray(u.elections) ? u.elections : [])){
+      const opt = document.createElement('option');
+      opt.value = String(PICKER_ENTRIES.length);
+      opt.textContent = e.label || e.slug;
+      PICKER_ENTRIES.push({ universe: u, election: e });
+      group.appendChild(opt);
+    }
+    sel.appendChild(group);
+  }
+  sel.disabled = PICKER_ENTRIES.length < 2;
+  sel.addEventListener('change', () => {
+    const entry = PICKER_ENTRIES[Number(sel.value)];
+    if (entry && typeof onPick === 'function') onPick(entry.universe, entry.election);
+  });
+}
+function setElectionPickerValue(universe, election){
+  const sel = document.getElementById('electionPicker');
+  if (!sel) return;
+  const idx = PICKER_ENTRIES.findIndex(x => x.universe === universe && x.election === election);
+  if (idx >= 0) sel.value = String(idx);
+}
+function setElectionTitles(universe, election){
+  const label = [universe?.label, election?.label].filter(Boolean).join(' — ');
+  if (!label) return;
+  const hdr = document.getElementById('hdrTitle');
+  const desk = document.getElementById('deskTitle');
+  if (hdr) hdr.textContent = `${label} — Election Night`;
+  if (desk) desk.textContent = `Election Night — ${label}`;
+}
+// Drop candidate profiles openCandidateDoc added for the previous election's parties
+function resetCandidateDocOptions(){
+  const sel = document.getElementById('docSelect');
+  if (!sel) return;
+  const wasDynamic = sel.selectedOptions[0] && sel.selectedOptions[0].dataset.dynamic === '1';
+  Array.from(sel.querySelectorAll('option[data-dynamic="1"]')).forEach(o => o.remove());
+  if (wasDynamic && sel.options.length && window.loadDocMarkdown){ sel.selectedIndex = 0; window.loadDocMarkdown(sel.value); }
+}
+
+// Round picker: locked rounds stay listed but disabled, with the reason in the label
+function renderRoundBar(rounds){
+  const bar = document.getElementById('roundBar');
+  const sel = document.getElementById('roundSelect');
+  const note = document.getElementById('roundNote');
+  if (!bar || !sel || !note) return;
+  const list = rounds?.list || [];
+  bar.style.display = list.length ? '' : 'none';
+  note.style.display = list.length ? '' : 'none';
+  if (!list.length) return;
+  sel.innerHTML = list.map((r, i) => `<option value="${r.key}"${r.open ? '' : ' disabled'}${i === rounds.index ? ' selected' : ''}>${r.label}${r.open ? '' : ` (${r.note || 'locked'})`}</option>`).join('');
+  const cur = list[rounds.index] || {};
+  const names = (ks) => ks.map(displayPartyName).join(' vs ');
+  let text = '';
+  if (cur.outcome && cur.outcome.winner) text = `${displayPartyName(cur.outcome.winner)} won outright.`;
+  else if (cur.outcome) text = `${names(cur.outcome.qualifiers)} advance to ${list[rounds.index + 1]?.label || 'the next round'}.`;
+  else if (cur.qualifiers) text = `${cur.label}: ${names(cur.qualifiers)}.`;
+  else if (list[rounds.index + 1] && !list[rounds.index + 1].open) text = list[rounds.index + 1].note;
+  note.textContent = text;
+}
+(function setupRoundPicker(){
+  const sel = document.getElementById('roundSelect');
+  if (!sel) return;
+  sel.addEventListener('change', () => { if (typeof switchRound === 'function') switchRound(sel.value); });
+})();
+
+// Playback controls: pause/play, speed, and a scrubber across the count window
+let SIM_SCRUBBING = false;
+function updateSimControls(){
+  const btn = document.getElementById('simPlayPause');
+  const speed = document.getElementById('simSpeed');
+  const scrub = document.getElementById('simScrub');
+  const clock = document.getElementById('simClock');
+  const now = simNow();
+  if (btn){ btn.textContent = SIM.paused ? '▶' : '⏸'; btn.setAttribute('aria-label', SIM.paused ? 'Play' : 'Pause'); }
+  if (speed && Number(speed.value) !== SIM.rate) speed.value = String(SIM.rate);
+  if (scrub && !SIM_SCRUBBING && window.STATE){
+    const span = Math.max(1, STATE.endMs - STATE.startMs);
+    scrub.value = String(Math.round(Math.max(0, Math.min(1, (now - STATE.startMs) / span)) * Number(scrub.max)));
+  }
+  if (clock) clock.textContent = fmtTime(now) + (SIM.paused ? ' (paused)' : (SIM.rate !== 1 ? ` (${SIM.rate}×)` : ''));
+}
+(function setupSimControls(){
+  const btn = document.getElementById('simPlayPause');
+  const speed = document.getElementById('simSpeed');
+  const scrub = document.getElementById('simScrub');
+  if (!btn || !speed || !scrub) return;
+  const refresh = () => { if (typeof tick === 'function') tick(); else updateSimControls(); };
+  btn.addEventListener('click', () => { setSimPaused(!SIM.paused); refresh(); });
+  speed.addEventListener('change', () => { setSimRate(Number(speed.value)); refresh(); });
+  const seekToSlider = () => {
+    if (!window.STATE) return;
+    const frac = Number(scrub.value) / Number(scrub.max);
+    seekSim(STATE.startMs + frac * (STATE.endMs - STATE.startMs));
+    refresh();
+  };
+  // A click on the thumb that doesn't move it fires no change event: release on pointerup/cancel/blur too
+  const release = () => { SIM_SCRUBBING = false; };
+  scrub.addEventListener('pointerdown', () => { SIM_SCRUBBING = true; });
+  scrub.addEventListener('pointerup', release);
+  scrub.addEventListener('pointercancel', release);
+  scrub.addEventListener('blur', release);
+  scrub.addEventListener('input', seekToSlider);
+  scrub.addEventListener('change', () => { release(); seekToSlider(); });
+})();
+
+// Count settings dialog: host-set start and duration for the current election
+function toLocalInputValue(ms){
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+(function setupCountSettings(){
+  const dlg = document.getElementById('countSettings');
+  const open = document.getElementById('countSettingsOpen');
+  const close = document.getElementById('countSettingsClose');
+  const startIn = document.getElementById('countStartInput');
+  const durIn = document.getElementById('countDurationInput');
+  const saveBtn = document.getElementById('countSaveBtn');
+  const resetBtn = document.getElementById('countResetBtn');
+  const defBtn = document.getElementById('countDefaultBtn');
+  if (!dlg || !open || !close || !startIn || !durIn || !saveBtn || !resetBtn || !defBtn) return;
+  const SOURCES = { host: 'Set by the host in this browser.', manifest: 'From the manifest.', auto: 'Started automatically when this browser first opened the election.' };
+  function fill(){
+    if (!window.STATE) return;
+    const lbl = document.getElementById('countSettingsElection');
+    const src = document.getElementById('countSettingsSource');
+    if (lbl) lbl.textContent = [STATE.universe?.label, STATE.election?.label].filter(Boolean).join(' — ');
+    if (src) src.textContent = SOURCES[STATE.windowSource] || '';
+    startIn.value = toLocalInputValue(STATE.startMs);
+    durIn.value = String(Math.max(1, Math.round((STATE.endMs - STATE.startMs) / 60000)));
+  }
+  const show = (on) => { dlg.style.display = on ? '' : 'none'; if (on) fill(); };
+  const apply = (win, fresh) => { if (typeof applyCountWindow === 'function') applyCountWindow(win, fresh); show(false); };
+  open.addEventListener('click', () => show(dlg.style.display === 'none'));
+  close.addEventListener('click', () => show(false));
+  saveBtn.addEventListener('click', () => {
+    const startMs = Date.parse(startIn.value);
+    const mins = Number(durIn.value);
+    if (!Number.isFinite(startMs) || !(mins > 0)) { durIn.focus(); return; }
+    apply(saveCountWindow(STATE.universe, STATE.election, { startMs, endMs: startMs + mins*60*1000, source: 'host' }));
+  });
+  resetBtn.addEventListener('click', () => {
+    const mins = Number(durIn.value) > 0 ? Number(durIn.value) : DEFAULT_COUNT_MINUTES;
+    const now = Date.now();
+    apply(saveCountWindow(STATE.universe, STATE.election, { startMs: now, endMs: now + mins*60*1000, source: 'host' }), true);
+  });
+  defBtn.addEventListener('click', () => {
+    clearCountWindow(STATE.universe, STATE.election);
+    apply(ensureCountWindow(STATE.election, STATE.universe));
+  });
+})();
+
+// Race call menu: the host calls a province for any candidate, holds it as too early to call,
+// retracts a call, or hands it back to the automatic rules
+let CALL_MENU_ID = null;
+function openCallMenu(feature, x, y){
+  const menu = document.getElementById('callMenu');
+  const items = document.getElementById('callMenuItems');
+  if (!menu || !items || !window.STATE) return;
+  const id = feature?.properties?._joinId;
+  const row = feature?.properties?._row;
+  if (id == null || !row) return;
+  CALL_MENU_ID = id;
+  const manual = STATE.manualCalls?.get(id) || null;
+  const call = row._call && row._call.winner ? row._call : null;
+  const title = document.getElementById('callMenuTitle');
+  const state = document.getElementById('callMenuState');
+  if (title) title.textContent = `Race call — ${districtName(row)}`;
+  if (state) state.textContent = manual ? MANUAL_CALL_LABELS[manual.type] + (manual.type === 'call' ? `: ${displayPartyName(manual.winner)}` : '') + (manual.at > simNow() ? ` (from ${fmtTime(manual.at)})` : '')
+    : call ? `Called automatically: ${displayPartyName(call.winner)}` : 'Not called';
+  const opts = STATE.parties.map(p => ({ label: `<span class="swatch" style="background:${partyColor(p)}"></span>Call for ${displayPartyName(p)}`, value: { type: 'call', winner: p }, on: manual?.type === 'call' && manual.winner === p }));
+  opts.push({ label: 'Too early to call', value: { type: 'tec' }, on: manual?.type === 'tec' });
+  if (call) opts.push({ label: 'Retract call', value: { type: 'retract' } });
+  if (manual) opts.push({ label: 'Return to automatic', value: null });
+  items.innerHTML = opts.map((o, i) => `<button data-i="${i}"${o.on ? ' disabled' : ''}>${o.label}</button>`).join('');
+  items.querySelectorAll('button').forEach(b => b.addEventListener('click', () => {
+    setManualCall(CALL_MENU_ID, opts[Number(b.dataset.i)].value);
+    closeCallMenu();
+    if (typeof tick === 'function') tick();
+  }));
+  menu.style.display = '';
+  // Keep the menu on screen near the pointer
+  const w = menu.offsetWidth || 220, h = menu.offsetHeight || 200;
+  menu.style.left = `${Math.max(4, Math.min(x, window.innerWidth - w - 4))}px`;
+  menu.style.top = `${Math.max(4, Math.min(y, window.innerHeight - h - 4))}px`;
+}
+function closeCallMenu(){
+  const menu = document.getElementById('callMenu');
+  if (menu) menu.style.display = 'none';
+  CALL_MENU_ID = null;
+}
+(function setupCallMenu(){
+  const menu = document.getElementById('callMenu');
+  const close = document.getElementById('callMenuClose');
+  if (!menu || !close) return;
+  close.addEventListener('click', closeCallMenu);
+  document.addEventListener('mousedown', e => { if (menu.style.display !== 'none' && !menu.contains(e.target)) closeCallMenu(); });
+  document.addEventListener('keydown', e => { if (e.key === 'Escape') closeCallMenu(); });
+})();
+
+// Data check window: validation issues and CSV/GeoJSON join diagnostics; opens by itself on errors
+function renderDataCheck(issues, label){
+  const dlg = document.getElementById('dataCheck');
+  const listEl = document.getElementById('dataCheckList');
+  const sum = document.getElementById('dataCheckSummary');
+  const status = document.getElementById('statusData');
+  const errors = issues.filter(x => x.level === 'error').length;
+  const warnings = issues.filter(x => x.level === 'warning').length;
+  const text = (errors || warnings) ? `${errors} error(s), ${warnings} warning(s)` : 'No problems found';
+  const LEVELS = { error: 'Error', warning: 'Warning', info: 'Note' };
+  if (sum) sum.textContent = label ? `${label}: ${text}` : text;
+  if (status) status.textContent = (errors || warnings) ? `Data: ${errors ? errors + ' error(s)' : warnings + ' warning(s)'}` : 'Data: OK';
+  if (listEl) listEl.innerHTML = issues.map(x => `<li class="issue-${x.level}"><b>${LEVELS[x.level] || x.level}:</b> ${x.message.replace(/</g, '&lt;')}</li>`).join('');
+  if (dlg) dlg.style.display = errors ? '' : 'none';
+}
+(function setupDataCheck(){
+  const dlg = document.getElementById('dataCheck');
+  const close = document.getElementById('dataCheckClose');
+  const status = document.getElementById('statusData');
+  if (!dlg || !close || !status) return;
+  close.addEventListener('click', () => { dlg.style.display = 'none'; });
+  status.addEventListener('click', () => { dlg.style.display = dlg.style.display === 'none' ? '' : 'none'; });
+})();
+
+// Stacked seat bar (parties in seat order, then unallocated) with a marker at the majority line
+function renderSeatBar(seats){
+  const wrap = document.createElement('div');
+  wrap.className = 'seat-bar-wrap';
+  const bar = document.createElement('div');
+  bar.className = 'seat-bar';
+  const total = Math.max(1, seats.total);
+  for (const p of seats.ordered){
+    const st = seats.byParty[p];
+    if (!st || !st.seats) continue;
+    const seg = document.createElement('div');
+    seg.className = 'seat-seg';
+    seg.style.width = (st.seats / total * 100).toFixed(2) + '%';
+    seg.style.background = partyColor(p);
+    seg.title = `${displayPartyName(p)}: ${st.seats}`;
+    bar.appendChild(seg);
+  }
+  const line = document.createElement('div');
+  line.className = 'seat-majority';
+  line.style.left = (seats.majority / total * 100).toFixed(2) + '%';
+  bar.appendChild(line);
+  const label = document.createElement('div');
+  label.className = 'muted';
+  label.textContent = `Majority: ${seats.majority} of ${seats.total}` + (seats.uncounted ? ` · ${seats.uncounted} not yet allocated` : '');
+  wrap.appendChild(bar);
+  wrap.appendChild(label);
+  return wrap;
+}
+
 // Candidate doc opener based on partyMeta or fallback path
 window.openCandidateDoc = function(key){
   const meta = (window.STATE && window.STATE.partyMeta && window.STATE.partyMeta[key]) || null;
@@ -185,6 +473,7 @@ window.openCandidateDoc = function(key){
     } catch(e){ pane.innerHTML = '<span class="muted">Failed to load</span>'; }
   }
   window.loadDocMarkdown = load;
+  window.renderDocCard = renderCard;
   sel.addEventListener('change', ()=> load(sel.value));
   load(sel.value);
 })();
@@ -218,6 +507,7 @@ window.openCandidateDoc = function(key){
       setTimeout(() => MAP.invalidateSize(), 0);
     }
   }
+  window.selectTab = select;
   btnMap.addEventListener('click', ()=>select('map'));
   btnRes.addEventListener('click', ()=>select('results'));
   btnAbt.addEventListener('click', ()=>select('about'));
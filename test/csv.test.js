@@ -0,0 +1,26 @@
+// test/csv.test.js
+// CSV parsing as validateDataset sees it: source line numbers on ragged records and blank vote columns.
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const CSV = ['js/core/core.js', 'js/domain/domain.js'];
+
+test('ragged records report the source line they start on', () => {
+  const app = loadApp(CSV);
+  const rows = app.parseCSV('district_id,name_rr,A_votes\n\nD1,"North\nEnd",5\n\nD2,South\n');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(rows.ragged)), [{ line: 6, expected: 3, got: 2 }]);
+  const issues = app.validateDataset(rows, ['A'], null);
+  assert.ok(issues.some(i => i.message.startsWith('Line 6 has 2 fields')));
+});
+
+test('an all-blank vote column is empty, not text', () => {
+  const app = loadApp(CSV);
+  const rows = app.parseCSV('district_id,A_votes,B_votes\nD1,5,\nD2,7,\n');
+  assert.strictEqual(rows[0].B_votes, null);
+  const issues = app.validateDataset(rows, ['A', 'B'], null).map(i => i.message);
+  assert.ok(issues.some(m => m.startsWith('"B_votes" is empty')));
+  assert.ok(!issues.some(m => m.includes('not a non-negative number')));
+});
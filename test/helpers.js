@@ -0,0 +1,28 @@
+// test/helpers.js
+// The app is plain browser scripts sharing globals, so tests load the ones they need into one vm context
+// in the order index.html does.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadApp(files, globals = {}){
+  const ctx = vm.createContext({ console, ...globals });
+  ctx.window = ctx;
+  for (const f of files){
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', f), 'utf8'), ctx, { filename: f });
+  }
+  return ctx;
+}
+
+// A row as the tick leaves it: `<party>_votes_live` counts and their total, plus whatever the test sets
+function liveRow(id, votes, extra = {}){
+  const row = { district_id: id, _totalVotes: 0, _phase: 0.5, _call: null };
+  for (const [p, v] of Object.entries(votes)){
+    row[`${p}_votes_live`] = v;
+    row._totalVotes += v;
+  }
+  return Object.assign(row, extra);
+}
+
+module.exports = { loadApp, liveRow };
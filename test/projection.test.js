@@ -0,0 +1,43 @@
+// test/projection.test.js
+// The national projection is only final once every district has finished reporting, with or without
+// turnout estimates in the CSV, and districts are sized from those estimates when the CSV has them.
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, liveRow } = require('./helpers');
+
+const PROJECTION = ['js/core/core.js', 'js/domain/domain.js', 'js/domain/projection.js'];
+const PARTIES = ['A', 'B'];
+
+test('no turnout data: the first counted ballots are not a final result', () => {
+  const app = loadApp(PROJECTION);
+  const rows = [liveRow('D1', { A: 60, B: 40 }, { _phase: 0.1 }), liveRow('D2', { A: 0, B: 0 }, { _phase: 0 })];
+  const proj = app.projectNational(rows, PARTIES, null, 's');
+  assert.strictEqual(proj.final, false);
+  assert.ok(proj.expected > proj.counted);
+  assert.ok(proj.win.A < 1);
+});
+
+test('turnout estimate below the count so far still leaves the vote open until 100% reporting', () => {
+  const app = loadApp(PROJECTION);
+  const rows = [liveRow('D1', { A: 600, B: 400 }, { _phase: 0.5, eligible_voters_est: 1000, turnout: 50 })];
+  const proj = app.projectNational(rows, PARTIES, null, 's');
+  assert.strictEqual(proj.final, false);
+  assert.strictEqual(proj.expected, 2000);
+});
+
+test('a turnout estimate above the count sizes the district, not its share reporting', () => {
+  const app = loadApp(PROJECTION);
+  const rows = [liveRow('D1', { A: 180, B: 120 }, { _phase: 0.5, eligible_voters_est: 1000, turnout: 80 })];
+  const proj = app.projectNational(rows, PARTIES, null, 's');
+  assert.strictEqual(proj.expected, 800);
+});
+
+test('every district at 100% reporting is final', () => {
+  const app = loadApp(PROJECTION);
+  const rows = [liveRow('D1', { A: 600, B: 400 }, { _phase: 1 }), liveRow('D2', { A: 300, B: 200 }, { _phase: 1 })];
+  const proj = app.projectNational(rows, PARTIES, null, 's');
+  assert.strictEqual(proj.final, true);
+  assert.strictEqual(proj.win.A, 1);
+});
@@ -0,0 +1,77 @@
+// test/rounds.test.js
+// Multi-round elections: who goes through under each `advance` rule, and when the next round opens.
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const DOMAIN = ['js/core/core.js', 'js/domain/domain.js'];
+const PARTIES = ['A', 'B', 'C'];
+function finalRow(id, a, b, c){ return { district_id: id, A_votes: a, B_votes: b, C_votes: c }; }
+
+test('majority: over 50% wins outright, else the top two go through', () => {
+  const app = loadApp(DOMAIN);
+  const won = app.computeRoundOutcome([finalRow('D1', 300, 100, 50), finalRow('D2', 260, 200, 90)], PARTIES);
+  assert.strictEqual(won.winner, 'A');
+  assert.deepStrictEqual([...won.qualifiers], ['A']);
+  const runoff = app.computeRoundOutcome([finalRow('D1', 450, 350, 200)], PARTIES, 'majority');
+  assert.strictEqual(runoff.winner, null);
+  assert.deepStrictEqual([...runoff.qualifiers], ['A', 'B']);
+});
+
+test('top_two always holds a runoff; a custom rule sets the share and the number going through', () => {
+  const app = loadApp(DOMAIN);
+  const rows = [finalRow('D1', 600, 300, 100)];
+  assert.deepStrictEqual([...app.computeRoundOutcome(rows, PARTIES, 'top_two').qualifiers], ['A', 'B']);
+  assert.strictEqual(app.computeRoundOutcome([finalRow('D1', 400, 350, 250)], PARTIES, { share: 40, top: 3 }).winner, 'A');
+  const three = app.computeRoundOutcome([finalRow('D1', 390, 350, 260)], PARTIES, { share: 40, top: 3 });
+  assert.strictEqual(three.winner, null);
+  assert.deepStrictEqual([...three.qualifiers], ['A', 'B', 'C']);
+});
+
+test('a round takes its key, label and seed from the election', () => {
+  const app = loadApp(DOMAIN);
+  const el = app.roundElection({ slug: '1960', label: 'Presidential 1960', seed: 'p60', rounds: [{}, {}] }, { label: 'Runoff' }, 1);
+  assert.strictEqual(el.slug, '1960/r2');
+  assert.strictEqual(el.label, 'Presidential 1960 — Runoff');
+  assert.strictEqual(el.seed, 'p60/r2');
+  assert.strictEqual(el.rounds, undefined);
+});
+
+// resolveRound lives in app.js and reads the previous round's CSV; the manifest fetch never settles, so
+// app.js never boots
+function loadRounds(files, stored = {}){
+  const fetch = (u) => u in files ? Promise.resolve({ ok: true, status: 200, text: async () => files[u] }) : new Promise(() => {});
+  const localStorage = { getItem: (k) => stored[k] ?? null, setItem: (k, v) => { stored[k] = String(v); }, removeItem: (k) => { delete stored[k]; } };
+  return loadApp([...DOMAIN, 'js/app.js'], { fetch, localStorage, URLSearchParams, location: { search: '' } });
+}
+const CSV = { 'r1.csv': 'district_id,A_votes,B_votes,C_votes\nD1,450,350,200\n' };
+function twoRounds(end){
+  return { slug: '1960', seed: 'p60', rounds: [{ csv: 'r1.csv', count_start: '2000-01-01T00:00:00Z', count_end: end }, { csv: 'r2.csv', label: 'Runoff' }] };
+}
+
+test('the runoff opens with the top two once round one is counted', async () => {
+  const app = loadRounds(CSV);
+  const r = await app.resolveRound({ key: 'u' }, twoRounds('2000-01-01T01:00:00Z'));
+  assert.strictEqual(r.index, 1);
+  assert.strictEqual(r.effective.slug, '1960/r2');
+  assert.deepStrictEqual([...r.qualifiers], ['A', 'B']);
+});
+
+test('the runoff stays shut while round one is still counting', async () => {
+  const app = loadRounds(CSV);
+  const r = await app.resolveRound({ key: 'u' }, twoRounds('2999-01-01T00:00:00Z'), 'r2');
+  assert.strictEqual(r.index, 0);
+  assert.strictEqual(r.list[1].open, false);
+  assert.match(r.list[1].note, /Opens after Round 1 is counted/);
+});
+
+test('a saved playback clock decides whether round one is counted, not the wall clock', async () => {
+  const start = Date.parse('2000-01-01T00:00:00Z'), end = Date.parse('2999-01-01T00:00:00Z');
+  const savedAt = (simMs) => ({ 'countState:u/1960/r1': JSON.stringify({ startMs: start, endMs: end, seed: 'p60/r1', sim: { simMs, wallMs: Date.now(), rate: 1, paused: true } }) });
+  const done = await loadRounds(CSV, savedAt(end + 1)).resolveRound({ key: 'u' }, twoRounds('2999-01-01T00:00:00Z'));
+  assert.strictEqual(done.index, 1);
+  const midway = await loadRounds(CSV, savedAt(end - 60000)).resolveRound({ key: 'u' }, twoRounds('2999-01-01T00:00:00Z'));
+  assert.strictEqual(midway.index, 0);
+});
@@ -0,0 +1,95 @@
+// test/seats.test.js
+// Seat allocation: the divisor and quota methods, and live seats from the count. Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, liveRow } = require('./helpers');
+
+const SEATS = ['js/core/core.js', 'js/domain/domain.js', 'js/domain/seats.js'];
+const plain = (o) => JSON.parse(JSON.stringify(o));
+
+test('D\'Hondt, Sainte-Laguë and Hare share 8 seats the textbook way', () => {
+  const app = loadApp(SEATS);
+  const votes = { A: 100000, B: 80000, C: 30000, D: 20000 };
+  assert.deepStrictEqual(plain(app.allocateSeats(votes, 8, 'dhondt')), { A: 4, B: 3, C: 1, D: 0 });
+  assert.deepStrictEqual(plain(app.allocateSeats(votes, 8, 'sainte_lague')), { A: 3, B: 3, C: 1, D: 1 });
+  assert.deepStrictEqual(plain(app.allocateSeats(votes, 8, 'hare')), { A: 3, B: 3, C: 1, D: 1 });
+  assert.deepStrictEqual(plain(app.allocateSeats(votes, 3, 'fptp')), { A: 3, B: 0, C: 0, D: 0 });
+});
+
+test('FPTP: the leader takes a counting district, the winner takes a called one', () => {
+  const app = loadApp(SEATS);
+  const rows = [
+    liveRow('D1', { A: 600, B: 400 }),
+    liveRow('D2', { A: 450, B: 550 }, { _call: { winner: 'A' } }),
+    liveRow('D3', { A: 0, B: 0 })
+  ];
+  const seats = app.computeSeats(rows, ['A', 'B'], { method: 'fptp' });
+  assert.strictEqual(seats.total, 3);
+  assert.strictEqual(seats.byParty.A.seats, 2);
+  assert.strictEqual(seats.byParty.A.called, 1);
+  assert.strictEqual(seats.byParty.B.seats, 0);
+  assert.strictEqual(seats.uncounted, 1);
+});
+
+test('PR: parties under the threshold win no seats', () => {
+  const app = loadApp(SEATS);
+  const rows = [liveRow('D1', { A: 500, B: 460, C: 40 }, { seats: 10 })];
+  const seats = app.computeSeats(rows, ['A', 'B', 'C'], { method: 'dhondt', threshold: 5 });
+  assert.deepStrictEqual([...seats.eligible], ['A', 'B']);
+  assert.strictEqual(seats.byParty.C.seats, 0);
+  assert.strictEqual(seats.byParty.A.seats + seats.byParty.B.seats, 10);
+});
+
+test('compensatory top-up brings a party up towards its share of the chamber', () => {
+  const app = loadApp(SEATS);
+  const rows = [liveRow('D1', { A: 550, B: 450 }), liveRow('D2', { A: 550, B: 450 })];
+  const seats = app.computeSeats(rows, ['A', 'B'], { method: 'fptp', topup: { seats: 2 } });
+  assert.strictEqual(seats.total, 4);
+  assert.strictEqual(seats.byParty.A.seats, 2);
+  assert.strictEqual(seats.byParty.B.seats, 2);
+  assert.strictEqual(seats.byParty.B.projected, 2);
+});
+
+test('compensatory top-up leaves no seat unassigned once votes are in', () => {
+  const app = loadApp(SEATS);
+  const rows = [liveRow('D1', { A: 900, B: 100 }, { _phase: 1 }), liveRow('D2', { A: 510, B: 490 }, { _phase: 1 })];
+  const seats = app.computeSeats(rows, ['A', 'B'], { method: 'fptp', topup: { seats: 3 } });
+  assert.strictEqual(seats.uncounted, 0);
+  assert.strictEqual(seats.byParty.A.seats + seats.byParty.B.seats, 5);
+});
+
+test('FPTP: a desk call against the live leader gives the seat to the called party', () => {
+  const app = loadApp(SEATS);
+  const rows = [
+    liveRow('D1', { A: 600, B: 400 }, { _call: { winner: 'B', manual: true } }),
+    liveRow('D2', { A: 300, B: 700 })
+  ];
+  const seats = app.computeSeats(rows, ['A', 'B'], { method: 'fptp' });
+  assert.strictEqual(seats.byParty.B.seats, 2);
+  assert.strictEqual(seats.byParty.B.called, 1);
+  assert.strictEqual(seats.byParty.B.projected, 1);
+  assert.strictEqual(seats.byParty.A.seats, 0);
+});
+
+test('FPTP: a desk call on a district with nothing counted still awards its seats', () => {
+  const app = loadApp(SEATS);
+  const rows = [liveRow('D1', { A: 0, B: 0 }, { _call: { winner: 'A', manual: true } })];
+  const seats = app.computeSeats(rows, ['A', 'B'], { method: 'fptp', district_seats: 3 });
+  assert.strictEqual(seats.byParty.A.called, 3);
+  assert.strictEqual(seats.uncounted, 0);
+});
+
+test('PR: a called district\'s seats stay projected until it has finished counting', () => {
+  const app = loadApp(SEATS);
+  const rows = [
+    liveRow('D1', { A: 600, B: 400 }, { _call: { winner: 'B', manual: true } }),
+    liveRow('D2', { A: 600, B: 400 }, { _call: { winner: 'A' } }),
+    liveRow('D3', { A: 600, B: 400 }, { _call: { winner: 'A' }, _phase: 1 })
+  ];
+  const seats = app.computeSeats(rows, ['A', 'B'], { method: 'dhondt', district_seats: 5 });
+  assert.strictEqual(seats.byParty.A.seats, 9);
+  assert.strictEqual(seats.byParty.B.seats, 6);
+  assert.strictEqual(seats.byParty.A.called + seats.byParty.B.called, 5);
+  assert.strictEqual(seats.byParty.A.projected + seats.byParty.B.projected, 10);
+});